@@ -0,0 +1,128 @@
+#!/usr/bin/env node
+// Replay webhook deliveries and backfill missed mentions through a running server's admin
+// endpoints (POST /admin/replay and POST /admin/backfill), using ADMIN_TOKEN.
+//
+//   node bin/replay.js deliveries --since 6h [--until 2024-05-01T12:00:00Z]
+//   node bin/replay.js deliveries --id <delivery ID> [--id ...]
+//   node bin/replay.js file deliveries.jsonl
+//   node bin/replay.js backfill --since 2d [--until ...] [--account brand_a ...]
+//
+// Times are ISO 8601 dates or times, or durations before now (30m, 6h, 7d). The server is
+// SERVER_URL, or http://localhost:$PORT; both can also be passed as --server and --token.
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const USAGE = `Usage:
+  node bin/replay.js deliveries --since <time> [--until <time>]
+  node bin/replay.js deliveries --id <delivery ID> [--id ...]
+  node bin/replay.js file <deliveries.json or .jsonl>
+  node bin/replay.js backfill --since <time> [--until <time>] [--account <account> ...]
+
+Options:
+  --server <url>    server to call (default SERVER_URL, or http://localhost:$PORT)
+  --token <token>   admin token (default ADMIN_TOKEN)`;
+
+// Options that can be repeated are collected into lists
+const LIST_OPTIONS = ['id', 'account'];
+
+// Deliveries from a file are sent in batches, so requests stay below the JSON body size limit
+const BATCH_SIZE = 25;
+
+function parseArgs(argv) {
+    const args = { positional: [], id: [], account: [] };
+    for (let i = 0; i < argv.length; i++) {
+        const match = argv[i].match(/^--([a-z]+)(?:=(.*))?$/);
+        if (!match) {
+            args.positional.push(argv[i]);
+            continue;
+        }
+        const value = match[2] !== undefined ? match[2] : argv[++i];
+        if (value === undefined) {
+            throw new Error(`--${match[1]} needs a value`);
+        }
+        if (LIST_OPTIONS.includes(match[1])) {
+            args[match[1]].push(value);
+        } else {
+            args[match[1]] = value;
+        }
+    }
+    return args;
+}
+
+// Read deliveries from a JSON file (one delivery or a list) or a JSON-lines file. Lines of the
+// server's own webhook log ({ id, receivedAt, body }) are accepted too.
+function readDeliveries(filePath) {
+    const text = fs.readFileSync(filePath, 'utf8').trim();
+    let items;
+    if (text.startsWith('[')) {
+        items = JSON.parse(text);
+    } else {
+        items = text.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+    }
+    return items.map(item => (item.body && !item.object ? item.body : item));
+}
+
+// The admin requests to send for a command
+function buildRequests(command, args) {
+    if (command === 'deliveries') {
+        if (args.id.length) return [{ path: '/admin/replay', body: { ids: args.id } }];
+        if (!args.since) throw new Error('deliveries needs --since or --id');
+        return [{ path: '/admin/replay', body: { since: args.since, until: args.until } }];
+    }
+    if (command === 'file') {
+        if (!args.positional[1]) throw new Error('file needs the path of a deliveries file');
+        const deliveries = readDeliveries(args.positional[1]);
+        const requests = [];
+        for (let i = 0; i < deliveries.length; i += BATCH_SIZE) {
+            requests.push({ path: '/admin/replay', body: { payloads: deliveries.slice(i, i + BATCH_SIZE) } });
+        }
+        return requests;
+    }
+    if (command === 'backfill') {
+        if (!args.since) throw new Error('backfill needs --since');
+        return [{
+            path: '/admin/backfill',
+            body: { since: args.since, until: args.until, accounts: args.account.length ? args.account : undefined }
+        }];
+    }
+    throw new Error(command ? `Unknown command "${command}"` : 'No command given');
+}
+
+async function main() {
+    let args;
+    let requests;
+    try {
+        args = parseArgs(process.argv.slice(2));
+        requests = buildRequests(args.positional[0], args);
+    } catch (error) {
+        console.error(`${error.message}\n\n${USAGE}`);
+        process.exit(2);
+    }
+
+    const server = (args.server || process.env.SERVER_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/+$/, '');
+    const token = args.token || process.env.ADMIN_TOKEN;
+    if (!token) {
+        console.error('ADMIN_TOKEN is not set (or pass --token)');
+        process.exit(2);
+    }
+
+    let failed = false;
+    for (const request of requests) {
+        try {
+            const response = await axios.post(`${server}${request.path}`, request.body, {
+                headers: { Authorization: `Bearer ${token}` },
+                validateStatus: () => true
+            });
+            console.log(JSON.stringify(response.data, null, 2));
+            failed = failed || response.data?.status !== 'ok';
+        } catch (error) {
+            console.error(`Could not reach ${server}: ${error.message}`);
+            process.exit(1);
+        }
+    }
+    process.exit(failed ? 1 : 0);
+}
+
+main();
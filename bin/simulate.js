@@ -0,0 +1,172 @@
+#!/usr/bin/env node
+// Local stand-in for Meta: fire the webhook fixtures (lib/simulator) at a running server, signed
+// with META_APP_SECRET, and run the stand-in Graph API and SMTP sink the tests use.
+//
+//   node bin/simulate.js list
+//   node bin/simulate.js send page-mention instagram-comment [--unique] [--text "..."]
+//   node bin/simulate.js print instagram-message
+//   node bin/simulate.js graph [--port 4100]
+//   node bin/simulate.js smtp [--port 2525]
+//
+// To run the server fully offline, start graph and smtp, then the server with
+// GRAPH_API_BASE_URL=http://127.0.0.1:4100, EMAIL_HOST=127.0.0.1, EMAIL_PORT=2525 and the
+// fixture accounts (printed by "list").
+const path = require('path');
+const axios = require('axios');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+const { FIXTURES, build, sign, accountEnv } = require('../lib/simulator/fixtures');
+const { createGraphServer } = require('../lib/simulator/graph-server');
+const { createSmtpSink } = require('../lib/simulator/smtp-sink');
+
+const USAGE = `Usage:
+  node bin/simulate.js list
+  node bin/simulate.js send <fixture> [<fixture> ...] [options]
+  node bin/simulate.js print <fixture> [options]
+  node bin/simulate.js graph [--port <port>]
+  node bin/simulate.js smtp [--port <port>]
+
+Options for send and print:
+  --seq <n>         number making the delivery's IDs unique (default 1)
+  --unique          use a new seq every time, so the server does not skip it as a redelivery
+  --text <text>     comment, post or message text
+  --test            send it as App Dashboard sample data (entry ID 0)
+  --server <url>    server to send to (default SERVER_URL, or http://localhost:$PORT)
+  --secret <secret> app secret to sign with (default META_APP_SECRET)
+  --unsigned        send without an X-Hub-Signature-256 header`;
+
+// Options that take no value
+const FLAGS = ['unique', 'test', 'unsigned'];
+
+function parseArgs(argv) {
+    const args = { positional: [] };
+    for (let i = 0; i < argv.length; i++) {
+        const match = argv[i].match(/^--([a-z]+)(?:=(.*))?$/);
+        if (!match) {
+            args.positional.push(argv[i]);
+        } else if (FLAGS.includes(match[1])) {
+            args[match[1]] = true;
+        } else {
+            const value = match[2] !== undefined ? match[2] : argv[++i];
+            if (value === undefined) {
+                throw new Error(`--${match[1]} needs a value`);
+            }
+            args[match[1]] = value;
+        }
+    }
+    return args;
+}
+
+function fixtureOptions(args, index) {
+    return {
+        seq: args.unique ? Date.now() % 100000 + index : Number(args.seq) || 1,
+        text: args.text,
+        test: !!args.test
+    };
+}
+
+function list() {
+    const width = Math.max(...Object.keys(FIXTURES).map(name => name.length));
+    console.log('Fixtures:');
+    for (const [name, fixture] of Object.entries(FIXTURES)) {
+        console.log(`  ${name.padEnd(width)}  ${fixture.description}`);
+    }
+    console.log('\nAccounts (set these on the server, or see accountConfig() for a CONFIG_FILE):');
+    for (const [key, value] of Object.entries(accountEnv())) {
+        console.log(`  ${key}=${value}`);
+    }
+}
+
+async function send(names, args) {
+    const server = (args.server || process.env.SERVER_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/+$/, '');
+    const secret = args.secret || process.env.META_APP_SECRET;
+    if (!secret && !args.unsigned) {
+        throw new Error('META_APP_SECRET is not set (pass --secret, or --unsigned for a server with SKIP_SIGNATURE_VERIFICATION=true)');
+    }
+
+    let failed = false;
+    for (const [index, name] of names.entries()) {
+        const body = build(name, fixtureOptions(args, index));
+        const request = args.unsigned
+            ? { body: JSON.stringify(body), headers: { 'Content-Type': 'application/json' } }
+            : sign(body, secret);
+
+        const response = await axios.post(`${server}/webhook`, request.body, {
+            headers: request.headers,
+            validateStatus: () => true
+        });
+        console.log(`${name}: ${response.status} ${typeof response.data === 'string' ? response.data : JSON.stringify(response.data)}`);
+        failed = failed || response.status !== 200;
+    }
+    return !failed;
+}
+
+async function runGraph(args) {
+    const graph = createGraphServer({
+        onRequest: request => {
+            const fields = request.query.fields ? ` fields=${request.query.fields}` : '';
+            console.log(`${new Date().toISOString()} ${request.method} /${request.path}${fields} -> ${request.status}`);
+        }
+    });
+    const url = await graph.start(Number(args.port) || 4100);
+    console.log(`Stand-in Graph API listening on ${url} (set GRAPH_API_BASE_URL=${url})`);
+}
+
+async function runSmtp(args) {
+    const smtp = createSmtpSink({
+        onMessage: message => {
+            console.log(`\n${new Date().toISOString()} email to ${message.envelope.to.join(', ')}`);
+            console.log(`Subject: ${message.subject}\n`);
+            console.log(message.text.trim());
+        }
+    });
+    const port = await smtp.start(Number(args.port) || 2525);
+    console.log(`SMTP sink listening on 127.0.0.1:${port} (set EMAIL_HOST=127.0.0.1 and EMAIL_PORT=${port})`);
+}
+
+async function main() {
+    let args;
+    try {
+        args = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`${error.message}\n\n${USAGE}`);
+        process.exit(2);
+    }
+
+    const [command, ...names] = args.positional;
+    try {
+        if (command === 'list') {
+            list();
+        } else if (command === 'send' || command === 'print') {
+            if (names.length === 0) {
+                throw Object.assign(new Error(`${command} needs at least one fixture name`), { usage: true });
+            }
+            for (const name of names) {
+                if (!FIXTURES[name]) {
+                    throw Object.assign(new Error(`Unknown fixture "${name}" (run "node bin/simulate.js list")`), { usage: true });
+                }
+            }
+            if (command === 'print') {
+                for (const [index, name] of names.entries()) {
+                    console.log(JSON.stringify(build(name, fixtureOptions(args, index)), null, 2));
+                }
+            } else if (!await send(names, args)) {
+                process.exit(1);
+            }
+        } else if (command === 'graph') {
+            await runGraph(args);
+        } else if (command === 'smtp') {
+            await runSmtp(args);
+        } else {
+            throw Object.assign(new Error(command ? `Unknown command "${command}"` : 'No command given'), { usage: true });
+        }
+    } catch (error) {
+        if (error.usage) {
+            console.error(`${error.message}\n\n${USAGE}`);
+            process.exit(2);
+        }
+        console.error(error.message);
+        process.exit(1);
+    }
+}
+
+main();
@@ -0,0 +1,183 @@
+const Mustache = require('mustache');
+const metrics = require('./metrics');
+const { keywordPattern } = require('./classifier');
+const { MATCH_FIELDS, matchesMention } = require('./routing');
+const logger = require('./logger').logger.child({ module: 'actions' });
+
+// Actions that can be taken on a comment
+const ACTION_TYPES = ['reply', 'hide', 'like'];
+
+// Replies are posted as written, not HTML-escaped
+const TEXT_CONFIG = { escape: value => String(value) };
+
+// Action rules run on comment mentions after they are classified.
+//
+// A rule looks like:
+//   {
+//     "name": "hide-spam",
+//     "match": { "account": "brand_a", "platform": "instagram", "tags": ["spam"] },
+//     "blocklist": ["buy followers", "free crypto"],
+//     "action": "hide"
+//   }
+//   { "name": "thank-fans", "match": { "priority": "low" }, "action": "reply", "message": "Thanks {{author}}!" }
+//
+// match takes the same fields as routing rules; blocklist (optional) additionally requires one
+// of its words or phrases in the comment. Every matching rule applies, except that a comment
+// gets at most one reply (from the first matching reply rule) and a hidden comment is neither
+// replied to nor liked. Replies are Mustache templates with author, account, platform and tags.
+function createActionPlanner(options) {
+    const { rules = [], dryRun = false } = options || {};
+
+    const planned = rules.map((rule, index) => {
+        const label = `Action rule ${rule.name || index + 1}`;
+        if (!ACTION_TYPES.includes(rule.action)) {
+            throw new Error(`${label} has unknown action "${rule.action}" (expected one of ${ACTION_TYPES.join(', ')})`);
+        }
+        for (const field of Object.keys(rule.match || {})) {
+            if (!MATCH_FIELDS.includes(field)) {
+                throw new Error(`${label} matches on unknown field "${field}" (expected one of ${MATCH_FIELDS.join(', ')})`);
+            }
+        }
+        if (rule.action === 'reply') {
+            if (!rule.message) {
+                throw new Error(`${label} needs a message to reply with`);
+            }
+            Mustache.parse(rule.message);
+        }
+
+        return {
+            ...rule,
+            name: rule.name || `action-${index + 1}`,
+            blocklistPatterns: (rule.blocklist || []).map(keywordPattern)
+        };
+    });
+
+    // Work out the actions for a comment mention: [{ rule, type, message }]. The blocklist is
+    // matched against the comment's own text (message), never the post it was left on.
+    function plan(mention) {
+        const text = mention.message || '';
+        const matched = planned.filter(rule => matchesMention(rule, mention)
+            && (rule.blocklistPatterns.length === 0 || rule.blocklistPatterns.some(pattern => pattern.test(text))));
+
+        const hide = matched.find(rule => rule.action === 'hide');
+        if (hide) {
+            return [{ rule: hide.name, type: 'hide' }];
+        }
+
+        const actions = [];
+        const reply = matched.find(rule => rule.action === 'reply');
+        if (reply) {
+            const view = {
+                author: mention.fromUser || '',
+                account: mention.mentionedUsername || '',
+                platform: mention.platform,
+                tags: mention.tags || []
+            };
+            actions.push({ rule: reply.name, type: 'reply', message: Mustache.render(reply.message, view, {}, TEXT_CONFIG) });
+        }
+        const like = matched.find(rule => rule.action === 'like');
+        if (like) {
+            actions.push({ rule: like.name, type: 'like' });
+        }
+        return actions;
+    }
+
+    return {
+        plan,
+        dryRun: !!dryRun,
+        rules: () => planned.map(rule => rule.name)
+    };
+}
+
+// The Graph API request for an action on a comment, or { unsupported } when there is none.
+// target.mentionedIn marks comments on someone else's post or media that the account was
+// mentioned or tagged in: those cannot be hidden, and Instagram ones can only be replied to,
+// through the account's mentions edge.
+function graphRequest(action, mention, target) {
+    const commentId = mention.commentId;
+    if (action.type === 'hide' && target.mentionedIn) {
+        return { unsupported: 'only comments on the account\'s own posts can be hidden' };
+    }
+
+    if (mention.platform === 'instagram') {
+        if (target.mentionedIn) {
+            if (action.type !== 'reply') {
+                return { unsupported: 'comments on other accounts\' media can only be replied to' };
+            }
+            return {
+                path: `${target.accountId}/mentions`,
+                params: { comment_id: commentId, media_id: mention.mediaId, message: action.message }
+            };
+        }
+        if (action.type === 'reply') return { path: `${commentId}/replies`, params: { message: action.message } };
+        if (action.type === 'hide') return { path: commentId, params: { hide: true } };
+        return { unsupported: 'Instagram has no API for liking comments' };
+    }
+
+    if (action.type === 'reply') return { path: `${commentId}/comments`, params: { message: action.message } };
+    if (action.type === 'hide') return { path: commentId, params: { is_hidden: true } };
+    return { path: `${commentId}/likes`, params: {} };
+}
+
+// Whether a comment was written by the account it would be acted on for; acting on those
+// (e.g. replying to our own reply) could loop
+function isOwnComment(mention, target) {
+    if (mention.userId && target.accountId && String(mention.userId) === String(target.accountId)) {
+        return true;
+    }
+    return mention.platform === 'instagram'
+        && !!mention.fromUser
+        && String(mention.fromUser).toLowerCase() === String(mention.mentionedUsername || '').toLowerCase();
+}
+
+// Carry out planned actions through the Graph API with the account's token.
+//
+// target: { token, accountId, mentionedIn }
+// previous: the action results of an earlier attempt; actions that succeeded are not repeated
+// Returns one result per action: { rule, action, status, id, reason, error } where status is
+// done, dry_run, skipped or failed. Failures are returned rather than thrown, so a failed action
+// does not make the job retry (and repeat the actions that did succeed).
+async function runActions(actions, mention, target, options) {
+    const { graph, dryRun, previous = [] } = options;
+
+    return Promise.all(actions.map(async (action) => {
+        const result = { rule: action.rule, action: action.type };
+        const earlier = previous.find(item => item.action === action.type && item.status === 'done');
+        if (earlier) {
+            return earlier;
+        }
+
+        let outcome;
+        const request = graphRequest(action, mention, target);
+        if (!mention.commentId) {
+            outcome = { ...result, status: 'skipped', reason: 'not a comment' };
+        } else if (isOwnComment(mention, target)) {
+            outcome = { ...result, status: 'skipped', reason: 'comment by the account itself' };
+        } else if (request.unsupported) {
+            outcome = { ...result, status: 'skipped', reason: request.unsupported };
+        } else if (dryRun || mention.isTest) {
+            logger.info('Dry run: action not performed', { rule: action.rule, action: action.type, path: request.path, reply: action.message });
+            outcome = { ...result, status: 'dry_run', message: action.message };
+        } else if (!target.token) {
+            outcome = { ...result, status: 'failed', error: 'No access token for the account' };
+        } else {
+            try {
+                const data = await graph.post(request.path, { ...request.params, access_token: target.token });
+                logger.info('Action performed', { rule: action.rule, action: action.type, commentId: mention.commentId });
+                outcome = { ...result, status: 'done', id: data?.id, message: action.message, at: new Date().toISOString() };
+            } catch (error) {
+                logger.error('Action failed', { rule: action.rule, action: action.type, commentId: mention.commentId, error });
+                outcome = { ...result, status: 'failed', error: error.message };
+            }
+        }
+
+        metrics.mentionActions.inc({ action: action.type, status: outcome.status });
+        return outcome;
+    }));
+}
+
+module.exports = {
+    ACTION_TYPES,
+    createActionPlanner,
+    runActions
+};
@@ -0,0 +1,156 @@
+const crypto = require('crypto');
+const logger = require('./logger').logger.child({ module: 'auth' });
+
+// Compare two secrets in constant time
+function safeEqual(a, b) {
+    const bufferA = Buffer.from(String(a));
+    const bufferB = Buffer.from(String(b));
+    return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+// Read the token from an "Authorization: Bearer <token>" header
+function bearerToken(req) {
+    const header = req.get('Authorization') || '';
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    return match ? match[1].trim() : null;
+}
+
+// Read "Authorization: Basic <base64 user:password>" credentials, as sent by browsers
+function basicCredentials(req) {
+    const header = req.get('Authorization') || '';
+    const match = header.match(/^Basic\s+(.+)$/i);
+    if (!match) return null;
+
+    const decoded = Buffer.from(match[1].trim(), 'base64').toString('utf8');
+    const separator = decoded.indexOf(':');
+    if (separator === -1) return null;
+    return { user: decoded.slice(0, separator), password: decoded.slice(separator + 1) };
+}
+
+// Whether the request carries the ADMIN_TOKEN (bearer or Basic auth password), for public routes
+// that offer admins more, such as GET /readyz?refresh=true
+function hasAdminToken(req) {
+    const adminToken = process.env.ADMIN_TOKEN;
+    const token = bearerToken(req) || basicCredentials(req)?.password;
+    return !!(adminToken && token && safeEqual(token, adminToken));
+}
+
+// Middleware for admin routes: requires the ADMIN_TOKEN as a bearer token, or as the password
+// of HTTP Basic auth so the dashboard works in a browser. The Basic auth user name is kept as
+// req.adminUser to record who triaged a mention.
+// Admin routes are disabled (404) while ADMIN_TOKEN is not set.
+function requireAdmin(req, res, next) {
+    const adminToken = process.env.ADMIN_TOKEN;
+    if (!adminToken) {
+        return res.status(404).send({
+            status: 'error',
+            message: 'Admin endpoints are disabled (ADMIN_TOKEN is not set)'
+        });
+    }
+
+    const basic = basicCredentials(req);
+    const token = bearerToken(req) || basic?.password;
+    if (!token || !safeEqual(token, adminToken)) {
+        logger.warn('Rejected unauthenticated admin request', { method: req.method, url: req.originalUrl });
+        res.set('WWW-Authenticate', 'Basic realm="Social Mention Webhook", charset="UTF-8"');
+        return res.status(401).send({
+            status: 'error',
+            message: 'Invalid or missing admin token'
+        });
+    }
+
+    req.adminUser = basic?.user || null;
+    next();
+}
+
+// Parse INTEGRATION_API_KEYS ("zapier:key1,make:key2") into [{ name, key }]
+function parseApiKeys(value) {
+    return String(value || '')
+        .split(',')
+        .map(entry => entry.trim())
+        .filter(Boolean)
+        .map(entry => {
+            const separator = entry.indexOf(':');
+            return separator === -1
+                ? { name: 'default', key: entry }
+                : { name: entry.slice(0, separator).trim(), key: entry.slice(separator + 1).trim() };
+        })
+        .filter(entry => entry.key);
+}
+
+// Middleware for endpoints called by integrations such as Zapier. Each integration has its own
+// key from INTEGRATION_API_KEYS, sent as a bearer token or in the X-API-Key header; the name of
+// the matching integration is kept as req.integration. Disabled (404) while no keys are set.
+function requireApiKey(req, res, next) {
+    const apiKeys = parseApiKeys(process.env.INTEGRATION_API_KEYS);
+    if (apiKeys.length === 0) {
+        return res.status(404).send({
+            status: 'error',
+            message: 'Integration endpoints are disabled (INTEGRATION_API_KEYS is not set)'
+        });
+    }
+
+    const key = bearerToken(req) || req.get('X-API-Key');
+    // Compare against every key so the response time does not depend on which one matched
+    let integration = null;
+    for (const entry of apiKeys) {
+        if (key && safeEqual(key, entry.key) && !integration) {
+            integration = entry.name;
+        }
+    }
+
+    if (!integration) {
+        logger.warn('Rejected request with invalid or missing API key', { method: req.method, url: req.originalUrl });
+        return res.status(401).send({
+            status: 'error',
+            message: 'Invalid or missing API key'
+        });
+    }
+
+    req.integration = integration;
+    next();
+}
+
+// Middleware for the /test* diagnostic routes: admin credentials are required, and
+// DISABLE_DIAGNOSTICS=true turns the routes off completely (404), e.g. in production
+function requireDiagnostics(req, res, next) {
+    if (process.env.DISABLE_DIAGNOSTICS === 'true') {
+        return res.status(404).send({
+            status: 'error',
+            message: 'Diagnostic endpoints are disabled'
+        });
+    }
+    requireAdmin(req, res, next);
+}
+
+// Middleware for GET /metrics: Prometheus sends METRICS_TOKEN as a bearer token, so scrapers
+// never hold the admin token. Disabled (404) while METRICS_TOKEN is not set or DISABLE_METRICS=true.
+function requireMetrics(req, res, next) {
+    const metricsToken = process.env.METRICS_TOKEN;
+    if (process.env.DISABLE_METRICS === 'true' || !metricsToken) {
+        return res.status(404).send({
+            status: 'error',
+            message: 'Metrics endpoint is disabled'
+        });
+    }
+
+    const token = bearerToken(req);
+    if (!token || !safeEqual(token, metricsToken)) {
+        logger.warn('Rejected unauthenticated metrics request', { method: req.method, url: req.originalUrl });
+        return res.status(401).send({
+            status: 'error',
+            message: 'Invalid or missing metrics token'
+        });
+    }
+    next();
+}
+
+module.exports = {
+    safeEqual,
+    parseApiKeys,
+    hasAdminToken,
+    requireAdmin,
+    requireApiKey,
+    requireDiagnostics,
+    requireMetrics
+};
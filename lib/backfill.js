@@ -0,0 +1,134 @@
+// Backfill: find mentions that were missed while the server was down by polling the Graph API.
+//
+// Facebook pages are polled through their tagged edge (posts the page was tagged or mentioned in)
+// and Instagram accounts through their tags edge (media the account was tagged in). Instagram has
+// no edge listing caption or comment mentions; mentioned_media and mentioned_comment only look up
+// an ID from a webhook, so those can only be recovered by replaying the deliveries.
+
+const RELATIVE_UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// Stop paging after this many pages of results per account
+const MAX_PAGES = 20;
+
+// Parse a point in time: an ISO 8601 date or time, or a duration before now ("30m", "6h", "7d")
+function parseTime(value, now) {
+    const relative = String(value).trim().match(/^([1-9][0-9]*)([mhd])$/);
+    if (relative) {
+        return new Date(now - Number(relative[1]) * RELATIVE_UNITS[relative[2]]);
+    }
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw new Error(`Invalid time "${value}" (use an ISO 8601 date or time, or a duration such as 6h or 7d)`);
+    }
+    return date;
+}
+
+// Parse { since, until } (until defaults to now) into Dates, throwing on invalid input
+function parseTimeRange(range, now) {
+    now = now || Date.now();
+    if (!range || range.since === undefined || range.since === null || range.since === '') {
+        throw new Error('since is required');
+    }
+
+    const since = parseTime(range.since, now);
+    const until = range.until ? parseTime(range.until, now) : new Date(now);
+    if (since > until) {
+        throw new Error('since must be before until');
+    }
+    return { since, until };
+}
+
+// Fetch every page of an edge, following the after cursor. shouldStop(items) ends paging early.
+async function fetchEdge(graph, path, params, shouldStop) {
+    const items = [];
+    let after;
+
+    for (let page = 0; page < MAX_PAGES; page++) {
+        const data = await graph.get(path, { ...params, ...(after ? { after } : {}) });
+        const batch = data.data || [];
+        items.push(...batch);
+
+        after = data.paging?.cursors?.after;
+        if (!data.paging?.next || !after || batch.length === 0 || (shouldStop && shouldStop(batch))) {
+            break;
+        }
+    }
+    return items;
+}
+
+// Posts a Facebook page was tagged in between since and until, as mentions ready for delivery
+async function findTaggedPosts(graph, page, range) {
+    const posts = await fetchEdge(graph, `${page.id}/tagged`, {
+        fields: 'id,message,created_time,permalink_url,from{id,name,picture},attachments',
+        since: Math.floor(range.since.getTime() / 1000),
+        until: Math.floor(range.until.getTime() / 1000),
+        limit: 100,
+        access_token: page.token
+    });
+
+    return posts
+        .filter(post => String(post.from?.id) !== String(page.id))
+        .map(post => ({
+            item: post,
+            mention: {
+                platform: 'facebook',
+                mentionType: 'post',
+                pageId: page.id,
+                matchedAccount: String(page.id),
+                postId: post.id,
+                userId: post.from?.id,
+                fromUser: post.from?.name || 'Unknown',
+                fromUserPicture: post.from?.picture?.data?.url || '',
+                mentionedUsername: page.name,
+                postMessage: post.message || '',
+                postUrl: post.permalink_url,
+                postCreatedTime: post.created_time,
+                mediaType: post.attachments?.data[0]?.type || 'none',
+                mediaUrl: post.attachments?.data[0]?.url || '',
+                timestamp: new Date().toISOString(),
+                backfilled: true
+            }
+        }));
+}
+
+// Media an Instagram account was tagged in between since and until. The edge is newest first
+// and has no time filter, so paging stops at the first page reaching past since.
+async function findTaggedMedia(graph, account, range) {
+    const inRange = (media) => {
+        const time = new Date(media.timestamp);
+        return time >= range.since && time <= range.until;
+    };
+    const media = await fetchEdge(graph, `${account.id}/tags`, {
+        fields: 'id,caption,permalink,timestamp,username,media_type,media_url',
+        limit: 50,
+        access_token: account.token
+    }, batch => batch.some(item => new Date(item.timestamp) < range.since));
+
+    return media
+        .filter(inRange)
+        .filter(item => String(item.username || '').toLowerCase() !== account.username.toLowerCase())
+        .map(item => ({
+            item: item,
+            mention: {
+                platform: 'instagram',
+                mentionType: 'post',
+                mediaId: item.id,
+                fromUser: item.username || 'Unknown',
+                mentionedUsername: account.username,
+                matchedAccount: account.username,
+                postMessage: item.caption || '',
+                postUrl: item.permalink,
+                postCreatedTime: item.timestamp,
+                mediaType: item.media_type?.toLowerCase() || 'unknown',
+                mediaUrl: item.media_url || '',
+                timestamp: new Date().toISOString(),
+                backfilled: true
+            }
+        }));
+}
+
+module.exports = {
+    parseTimeRange,
+    findTaggedPosts,
+    findTaggedMedia
+};
@@ -0,0 +1,100 @@
+const defaultLexicon = require('./sentiment-lexicon');
+
+const PRIORITIES = ['high', 'normal', 'low'];
+
+// Without a classification.priority section, strongly negative mentions are high priority
+const DEFAULT_PRIORITY = { high: { maxSentiment: -3 } };
+
+const NEGATIONS = new Set([
+    'not', 'no', 'never', 'dont', "don't", 'doesnt', "doesn't", 'didnt', "didn't", 'isnt', "isn't",
+    'wasnt', "wasn't", 'cant', "can't", 'cannot', 'wont', "won't", 'hardly'
+]);
+
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Match a keyword or phrase as whole words, case-insensitively ("refund" does not match "refunded")
+function keywordPattern(keyword) {
+    return new RegExp(`(?<![\\p{L}\\p{N}_])${escapeRegExp(keyword.trim())}(?![\\p{L}\\p{N}_])`, 'iu');
+}
+
+// Sum the lexicon scores of the words (and emoji) in a text. A negation up to two words
+// before a word flips its score, so "not good" counts as negative.
+function scoreSentiment(text, lexicon) {
+    const words = text.toLowerCase().match(/[\p{L}\p{N}']+/gu) || [];
+    let score = 0;
+
+    words.forEach((word, index) => {
+        const value = lexicon[word];
+        if (!value) return;
+        const negated = words.slice(Math.max(index - 2, 0), index).some(previous => NEGATIONS.has(previous));
+        score += negated ? -value : value;
+    });
+
+    for (const [symbol, value] of Object.entries(lexicon)) {
+        if (!/[\p{L}\p{N}]/u.test(symbol)) {
+            score += (text.split(symbol).length - 1) * value;
+        }
+    }
+
+    let label = 'neutral';
+    if (score < 0) label = 'negative';
+    if (score > 0) label = 'positive';
+    return { score, label };
+}
+
+function matchesPriorityRule(rule, tags, score) {
+    if (!rule) return false;
+    return (rule.tags || []).some(tag => tags.includes(tag))
+        || (rule.maxSentiment !== undefined && score <= rule.maxSentiment)
+        || (rule.minSentiment !== undefined && score >= rule.minSentiment);
+}
+
+// Rule-based classifier for mentions, configured by the classification section:
+//   tags:     { refund: ["refund", "money back"], competitor: ["acme"] }  keyword lists per tag
+//   lexicon:  { "meh": -1 }                                              extra sentiment scores
+//   priority: { high: { tags: ["refund"], maxSentiment: -3 }, low: { minSentiment: 3 } }
+// A mention is high priority if the high rule matches (any listed tag, or a sentiment score at
+// or below maxSentiment), else low if the low rule matches, else normal.
+function createClassifier(options) {
+    options = options || {};
+    const tagMatchers = Object.entries(options.tags || {}).map(([tag, keywords]) => ({
+        tag,
+        patterns: keywords.map(keywordPattern)
+    }));
+    const lexicon = { ...defaultLexicon, ...options.lexicon };
+    const priority = options.priority || DEFAULT_PRIORITY;
+
+    // Returns { tags, sentiment: { score, label }, priority } for a mention
+    function classify(mention) {
+        // Comment mentions carry the comment (message) and the post it was left on (postMessage)
+        const text = Array.from(new Set([mention.postMessage, mention.message].filter(Boolean))).join('\n');
+
+        const tags = tagMatchers
+            .filter(matcher => matcher.patterns.some(pattern => pattern.test(text)))
+            .map(matcher => matcher.tag);
+        const sentiment = scoreSentiment(text, lexicon);
+
+        let level = 'normal';
+        if (matchesPriorityRule(priority.high, tags, sentiment.score)) {
+            level = 'high';
+        } else if (matchesPriorityRule(priority.low, tags, sentiment.score)) {
+            level = 'low';
+        }
+
+        return { tags, sentiment, priority: level };
+    }
+
+    return {
+        classify,
+        tagNames: () => tagMatchers.map(matcher => matcher.tag)
+    };
+}
+
+module.exports = {
+    PRIORITIES,
+    keywordPattern,
+    scoreSentiment,
+    createClassifier
+};
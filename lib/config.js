@@ -0,0 +1,556 @@
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const Ajv = require('ajv');
+const Mustache = require('mustache');
+const { channelTypes, loadNotificationConfig, applyChannelDefaults } = require('./notifiers');
+const { PRIORITIES } = require('./classifier');
+const { ACTION_TYPES } = require('./actions');
+const logger = require('./logger').logger.child({ module: 'config' });
+
+// Raised when the configuration is invalid; issues lists one message per bad field
+class ConfigError extends Error {
+    constructor(source, issues) {
+        super(`Invalid configuration (${source}):\n${issues.map(issue => `  - ${issue}`).join('\n')}`);
+        this.name = 'ConfigError';
+        this.source = source;
+        this.issues = issues;
+    }
+}
+
+const stringOrList = {
+    anyOf: [
+        { type: 'string', minLength: 1 },
+        { type: 'array', items: { type: 'string', minLength: 1 } }
+    ]
+};
+
+const keywordList = { type: 'array', items: { type: 'string', minLength: 1 } };
+
+const channelSchema = {
+    type: 'object',
+    required: ['type'],
+    properties: {
+        type: { enum: channelTypes },
+        url: { type: 'string', pattern: '^https?://' },
+        to: stringOrList,
+        from: { type: 'string' },
+        username: { type: 'string' },
+        headers: { type: 'object', additionalProperties: { type: 'string' } },
+        templates: { type: 'string', minLength: 1 },
+        locale: { type: 'string', minLength: 1 },
+        timeZone: { type: 'string', minLength: 1 },
+        smtp: {
+            type: 'object',
+            properties: {
+                host: { type: 'string' },
+                port: { type: ['string', 'integer'] },
+                secure: { type: 'boolean' },
+                user: { type: 'string' },
+                pass: { type: 'string' }
+            },
+            additionalProperties: false
+        }
+    },
+    additionalProperties: false,
+    if: { properties: { type: { not: { const: 'email' } } } },
+    then: { required: ['url'] }
+};
+
+// Mention fields routing and action rules match on
+const matchSchema = {
+    type: 'object',
+    properties: {
+        account: stringOrList,
+        platform: stringOrList,
+        mentionType: stringOrList,
+        tags: stringOrList,
+        priority: {
+            anyOf: [
+                { enum: PRIORITIES },
+                { type: 'array', items: { enum: PRIORITIES } }
+            ]
+        }
+    },
+    additionalProperties: false
+};
+
+const ruleSchema = {
+    type: 'object',
+    properties: {
+        name: { type: 'string' },
+        match: matchSchema,
+        channels: { type: 'array', items: { type: 'string' } },
+        recipients: stringOrList,
+        // Collect mentions into one summary per window (hourly, daily, or e.g. 30m, 4h, 2d)
+        digest: {
+            type: 'object',
+            required: ['window'],
+            properties: {
+                window: { type: 'string', pattern: '^(hourly|daily|[1-9][0-9]*[mhd])$' },
+                urgentKeywords: keywordList,
+                urgentPriorities: { type: 'array', items: { enum: PRIORITIES } }
+            },
+            additionalProperties: false
+        }
+    },
+    additionalProperties: false
+};
+
+const notificationsSchema = {
+    type: 'object',
+    properties: {
+        channels: { type: 'object', additionalProperties: channelSchema },
+        rules: { type: 'array', items: ruleSchema },
+        defaultRule: ruleSchema
+    },
+    additionalProperties: false
+};
+
+const priorityRuleSchema = {
+    type: 'object',
+    properties: {
+        tags: keywordList,
+        maxSentiment: { type: 'number' },
+        minSentiment: { type: 'number' }
+    },
+    additionalProperties: false
+};
+
+const classificationSchema = {
+    type: 'object',
+    properties: {
+        tags: { type: 'object', additionalProperties: keywordList },
+        lexicon: { type: 'object', additionalProperties: { type: 'number', minimum: -5, maximum: 5 } },
+        priority: {
+            type: 'object',
+            properties: {
+                high: priorityRuleSchema,
+                low: priorityRuleSchema
+            },
+            additionalProperties: false
+        }
+    },
+    additionalProperties: false
+};
+
+// Replies, hides and likes on comment mentions (see lib/actions.js)
+const actionsSchema = {
+    type: 'object',
+    properties: {
+        dryRun: { type: 'boolean' },
+        rules: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['action'],
+                properties: {
+                    name: { type: 'string' },
+                    match: matchSchema,
+                    blocklist: keywordList,
+                    action: { enum: ACTION_TYPES },
+                    // Mustache template of the reply
+                    message: { type: 'string', minLength: 1 }
+                },
+                additionalProperties: false,
+                if: { properties: { action: { const: 'reply' } } },
+                then: { required: ['message'] }
+            }
+        }
+    },
+    additionalProperties: false
+};
+
+// Page and account IDs must be strings: unquoted YAML numbers lose precision past 2^53
+const configSchema = {
+    type: 'object',
+    properties: {
+        pages: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['id', 'name', 'token'],
+                properties: {
+                    id: { type: 'string', minLength: 1 },
+                    name: { type: 'string', minLength: 1 },
+                    token: { type: 'string', minLength: 1 },
+                    instagram: {
+                        type: 'object',
+                        required: ['username'],
+                        properties: {
+                            username: { type: 'string', pattern: '^[A-Za-z0-9._]{1,30}$' },
+                            // Instagram Business Account ID, sent as entry.id in webhook deliveries
+                            id: { type: 'string', pattern: '^[0-9]+$' }
+                        },
+                        additionalProperties: false
+                    },
+                    // Comments using one of these hashtags are notified like mentions of the page
+                    hashtags: { type: 'array', items: { type: 'string', pattern: '^#?[\\p{L}\\p{N}_]+$' } }
+                },
+                additionalProperties: false
+            }
+        },
+        notifications: notificationsSchema,
+        classification: classificationSchema,
+        actions: actionsSchema
+    },
+    additionalProperties: false
+};
+
+const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+const validateConfigSchema = ajv.compile(configSchema);
+const validateNotificationsSchema = ajv.compile(notificationsSchema);
+
+// Turn a JSON pointer such as /pages/0/token into pages[0].token
+function pointerToPath(pointer) {
+    return pointer
+        .split('/')
+        .slice(1)
+        .map(part => (/^\d+$/.test(part) ? `[${part}]` : `.${part}`))
+        .join('')
+        .replace(/^\./, '');
+}
+
+// Convert ajv errors into readable messages. describePath lets callers rename fields
+// (for example pages[1].token => PAGE_TOKEN_2 for env-based configuration).
+function formatSchemaErrors(errors, describePath, prefix) {
+    const join = (base, field) => [prefix, base, field].filter(Boolean).join('.').replace(/\.\[/g, '[');
+    const issues = [];
+
+    for (const error of errors) {
+        // The if/then failure is already reported as the missing property
+        if (error.keyword === 'if') continue;
+
+        const base = pointerToPath(error.instancePath);
+        if (error.keyword === 'required') {
+            issues.push(`${describePath(join(base, error.params.missingProperty))} is required`);
+        } else if (error.keyword === 'additionalProperties') {
+            issues.push(`${describePath(join(base, error.params.additionalProperty))} is not a recognised field`);
+        } else if (error.keyword === 'enum') {
+            issues.push(`${describePath(join(base))} must be one of: ${error.params.allowedValues.join(', ')}`);
+        } else if (error.keyword === 'type') {
+            const hint = /(^|\.)id$/.test(base) ? ' (put quotes around numeric IDs)' : '';
+            issues.push(`${describePath(join(base))} must be a ${error.params.type}${hint}`);
+        } else if (error.keyword === 'minLength' && error.params.limit === 1) {
+            issues.push(`${describePath(join(base))} must not be empty`);
+        } else if (error.keyword === 'anyOf') {
+            issues.push(`${describePath(join(base))} must be a string or a list of strings`);
+        } else if (error.schemaPath.includes('/anyOf/')) {
+            // Failures of the individual anyOf branches are reported once through the anyOf error
+            continue;
+        } else {
+            issues.push(`${describePath(join(base))} ${error.message}`);
+        }
+    }
+
+    return Array.from(new Set(issues));
+}
+
+// Replace ${VAR} references in string values with environment variables, so tokens
+// can stay out of the config file
+function interpolateEnv(value, env, issues, currentPath) {
+    if (typeof value === 'string') {
+        return value.replace(/\$\{([A-Z0-9_]+)\}/g, (match, name) => {
+            if (env[name] === undefined) {
+                issues.push(`${currentPath || 'value'} refers to environment variable ${name}, which is not set`);
+                return '';
+            }
+            return env[name];
+        });
+    }
+    if (Array.isArray(value)) {
+        return value.map((item, index) => interpolateEnv(item, env, issues, `${currentPath}[${index}]`));
+    }
+    if (value && typeof value === 'object') {
+        const result = {};
+        for (const [key, item] of Object.entries(value)) {
+            result[key] = interpolateEnv(item, env, issues, currentPath ? `${currentPath}.${key}` : key);
+        }
+        return result;
+    }
+    return value;
+}
+
+// Checks the schema cannot express: duplicates and references between sections
+function checkReferences(config, describePath) {
+    const issues = [];
+    const pageIds = new Set();
+    const usernames = new Set();
+    const instagramIds = new Set();
+
+    (config.pages || []).forEach((page, index) => {
+        if (pageIds.has(page.id)) {
+            issues.push(`${describePath(`pages[${index}].id`)} duplicates page ID ${page.id}`);
+        }
+        pageIds.add(page.id);
+
+        const username = page.instagram?.username?.toLowerCase();
+        if (username) {
+            if (usernames.has(username)) {
+                issues.push(`${describePath(`pages[${index}].instagram.username`)} duplicates Instagram username ${username}`);
+            }
+            usernames.add(username);
+        }
+
+        const instagramId = page.instagram?.id;
+        if (instagramId) {
+            if (instagramIds.has(instagramId)) {
+                issues.push(`${describePath(`pages[${index}].instagram.id`)} duplicates Instagram account ID ${instagramId}`);
+            }
+            instagramIds.add(instagramId);
+        }
+    });
+
+    issues.push(...checkRuleChannels(config.notifications, 'notifications'));
+
+    // Priority rules and routing rules may only use tags the classification defines
+    const tagNames = Object.keys(config.classification?.tags || {});
+    for (const level of ['high', 'low']) {
+        (config.classification?.priority?.[level]?.tags || []).forEach((tag, index) => {
+            if (!tagNames.includes(tag)) {
+                issues.push(`${describePath(`classification.priority.${level}.tags[${index}]`)} refers to unknown tag "${tag}"`);
+            }
+        });
+    }
+    if (config.notifications) {
+        const rules = (config.notifications.rules || []).map((rule, index) => [`notifications.rules[${index}]`, rule]);
+        if (config.notifications.defaultRule) {
+            rules.push(['notifications.defaultRule', config.notifications.defaultRule]);
+        }
+        for (const [rulePath, rule] of rules) {
+            [].concat(rule.match?.tags || []).forEach(tag => {
+                if (!tagNames.includes(tag)) {
+                    issues.push(`${rulePath}.match.tags refers to unknown tag "${tag}"`);
+                }
+            });
+        }
+    }
+    (config.actions?.rules || []).forEach((rule, index) => {
+        [].concat(rule.match?.tags || []).forEach(tag => {
+            if (!tagNames.includes(tag)) {
+                issues.push(`actions.rules[${index}].match.tags refers to unknown tag "${tag}"`);
+            }
+        });
+        if (rule.message) {
+            try {
+                Mustache.parse(rule.message);
+            } catch (error) {
+                issues.push(`actions.rules[${index}].message is not a valid template (${error.message})`);
+            }
+        }
+    });
+    return issues;
+}
+
+// Locales, time zones and template directories of the channels must exist
+function checkChannelOptions(notifications, prefix) {
+    const issues = [];
+    for (const [name, channel] of Object.entries(notifications.channels || {})) {
+        const channelPath = `${prefix}.channels.${name}`;
+        try {
+            new Intl.DateTimeFormat(channel.locale || 'en-US', { timeZone: channel.timeZone || 'UTC' });
+        } catch (error) {
+            issues.push(`${channelPath} has an invalid locale or time zone (${error.message})`);
+        }
+        if (channel.templates && !(fs.existsSync(channel.templates) && fs.statSync(channel.templates).isDirectory())) {
+            issues.push(`${channelPath}.templates is not a directory: ${channel.templates}`);
+        }
+    }
+    return issues;
+}
+
+function checkRuleChannels(notifications, prefix) {
+    const issues = [];
+    if (!notifications) return issues;
+
+    const channelNames = Object.keys(notifications.channels || {});
+    const rules = (notifications.rules || []).map((rule, index) => [`${prefix}.rules[${index}]`, rule]);
+    if (notifications.defaultRule) {
+        rules.push([`${prefix}.defaultRule`, notifications.defaultRule]);
+    }
+
+    for (const [rulePath, rule] of rules) {
+        (rule.channels || []).forEach((channel, index) => {
+            if (!channelNames.includes(channel)) {
+                issues.push(`${rulePath}.channels[${index}] refers to unknown channel "${channel}"`);
+            }
+        });
+    }
+    return issues;
+}
+
+// Load a YAML or JSON config file (CONFIG_FILE)
+function loadConfigFile(filePath, env) {
+    let raw;
+    try {
+        const text = fs.readFileSync(filePath, 'utf8');
+        raw = path.extname(filePath) === '.json' ? JSON.parse(text) : YAML.parse(text);
+    } catch (error) {
+        throw new ConfigError(filePath, [`could not be read: ${error.message}`]);
+    }
+
+    const issues = [];
+    const config = interpolateEnv(raw || {}, env, issues, '');
+    const describePath = (fieldPath) => fieldPath;
+
+    if (!validateConfigSchema(config)) {
+        issues.push(...formatSchemaErrors(validateConfigSchema.errors, describePath));
+    }
+    if (issues.length === 0) {
+        issues.push(...checkReferences(config, describePath));
+    }
+    if (issues.length > 0) {
+        throw new ConfigError(filePath, issues);
+    }
+
+    return {
+        source: filePath,
+        pages: config.pages || [],
+        classification: config.classification || {},
+        actions: {
+            dryRun: !!config.actions?.dryRun,
+            rules: config.actions?.rules || []
+        },
+        notifications: config.notifications
+            ? {
+                channels: config.notifications.channels || {},
+                rules: config.notifications.rules || [],
+                defaultRule: config.notifications.defaultRule || null
+            }
+            : loadEnvNotifications(env)
+    };
+}
+
+// Build the same configuration from the PAGE_*_n environment variables
+function loadEnvConfig(env) {
+    const issues = [];
+    const indexes = new Set();
+
+    for (const key of Object.keys(env)) {
+        const match = key.match(/^PAGE_(?:ID|NAME|TOKEN|IG_USERNAME|IG_ID|HASHTAGS)_(\d+)$/);
+        if (match) indexes.add(parseInt(match[1], 10));
+    }
+
+    const sorted = Array.from(indexes).sort((a, b) => a - b);
+    const pages = [];
+    const envIndexes = [];
+
+    for (const index of sorted) {
+        if (!env[`PAGE_ID_${index}`]) {
+            issues.push(`PAGE_ID_${index} is required because other PAGE_*_${index} variables are set`);
+            continue;
+        }
+
+        const page = {
+            id: env[`PAGE_ID_${index}`],
+            name: env[`PAGE_NAME_${index}`],
+            token: env[`PAGE_TOKEN_${index}`]
+        };
+        if (env[`PAGE_IG_USERNAME_${index}`] || env[`PAGE_IG_ID_${index}`]) {
+            page.instagram = { username: env[`PAGE_IG_USERNAME_${index}`], id: env[`PAGE_IG_ID_${index}`] };
+            Object.keys(page.instagram).forEach(key => page.instagram[key] === undefined && delete page.instagram[key]);
+        }
+        if (env[`PAGE_HASHTAGS_${index}`]) {
+            page.hashtags = env[`PAGE_HASHTAGS_${index}`].split(',').map(tag => tag.trim()).filter(Boolean);
+        }
+
+        // Drop unset values so the schema reports them as missing
+        Object.keys(page).forEach(key => page[key] === undefined && delete page[key]);
+        pages.push(page);
+        envIndexes.push(index);
+    }
+
+    const envNames = {
+        id: 'PAGE_ID',
+        name: 'PAGE_NAME',
+        token: 'PAGE_TOKEN',
+        'instagram.username': 'PAGE_IG_USERNAME',
+        'instagram.id': 'PAGE_IG_ID',
+        hashtags: 'PAGE_HASHTAGS'
+    };
+    const describePath = (fieldPath) => {
+        const match = fieldPath.match(/^pages\[(\d+)\]\.([^[]+)/);
+        if (match && envNames[match[2]]) {
+            return `${envNames[match[2]]}_${envIndexes[parseInt(match[1], 10)]}`;
+        }
+        return fieldPath;
+    };
+
+    const config = { pages };
+    if (!validateConfigSchema(config)) {
+        issues.push(...formatSchemaErrors(validateConfigSchema.errors, describePath));
+    }
+    if (issues.length === 0) {
+        issues.push(...checkReferences(config, describePath));
+    }
+    if (issues.length > 0) {
+        throw new ConfigError('environment', issues);
+    }
+
+    // BUSINESS_IG_USERNAMES only repeats usernames from PAGE_IG_USERNAME_n, so flag any that do not match
+    if (env.BUSINESS_IG_USERNAMES) {
+        const known = pages.filter(page => page.instagram).map(page => page.instagram.username.toLowerCase());
+        for (const username of env.BUSINESS_IG_USERNAMES.split(',').map(u => u.trim()).filter(Boolean)) {
+            if (!known.includes(username.toLowerCase())) {
+                logger.warn('BUSINESS_IG_USERNAMES lists an account that no PAGE_IG_USERNAME_n matches', { instagramAccount: username });
+            }
+        }
+    }
+
+    return {
+        source: 'environment',
+        pages,
+        classification: {},
+        actions: { dryRun: false, rules: [] },
+        notifications: loadEnvNotifications(env)
+    };
+}
+
+// Notification settings from NOTIFICATIONS_CONFIG or the NOTIFY_* / *_WEBHOOK_URL variables
+function loadEnvNotifications(env) {
+    const source = env.NOTIFICATIONS_CONFIG || 'environment';
+    let notifications;
+    try {
+        notifications = loadNotificationConfig(env);
+    } catch (error) {
+        throw new ConfigError(source, [error.message]);
+    }
+
+    const describePath = (fieldPath) => fieldPath;
+    const issues = [];
+    // A missing default rule is represented as null, which the schema does not accept
+    const toValidate = { ...notifications, defaultRule: notifications.defaultRule || undefined };
+    if (!validateNotificationsSchema(toValidate)) {
+        issues.push(...formatSchemaErrors(validateNotificationsSchema.errors, describePath, 'notifications'));
+    }
+    if (issues.length === 0) {
+        issues.push(...checkRuleChannels(notifications, 'notifications'));
+    }
+    if (issues.length > 0) {
+        throw new ConfigError(source, issues);
+    }
+
+    return notifications;
+}
+
+// Load and validate the configuration: CONFIG_FILE when set, otherwise the environment variables.
+// Throws a ConfigError listing every problem found.
+function loadConfig(env) {
+    const config = env.CONFIG_FILE ? loadConfigFile(env.CONFIG_FILE, env) : loadEnvConfig(env);
+    applyChannelDefaults(config.notifications.channels, env);
+    // ACTIONS_DRY_RUN=true only logs the actions, whatever the configuration says
+    if (env.ACTIONS_DRY_RUN === 'true') {
+        config.actions.dryRun = true;
+    }
+
+    const issues = checkChannelOptions(config.notifications, 'notifications');
+    if (issues.length > 0) {
+        throw new ConfigError(config.source, issues);
+    }
+    return config;
+}
+
+module.exports = {
+    ConfigError,
+    loadConfig
+};
@@ -0,0 +1,176 @@
+// Server-rendered pages for browsing and triaging stored mentions.
+// Everything taken from a mention is escaped; the pages use no scripts.
+
+const { TRIAGE_STATUSES } = require('./mention-store');
+const { PRIORITIES } = require('./classifier');
+
+function escapeHtml(value) {
+    return String(value === undefined || value === null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Links to the post are only rendered for http(s) URLs
+function safeUrl(value) {
+    return /^https?:\/\//i.test(String(value || '')) ? value : '';
+}
+
+function formatTime(value) {
+    return value ? new Date(value).toISOString().replace('T', ' ').slice(0, 16) + ' UTC' : '';
+}
+
+function layout(title, body) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <title>${escapeHtml(title)}</title>
+    <style>
+        body { font-family: Arial, sans-serif; margin: 20px; color: #222; }
+        table { border-collapse: collapse; width: 100%; }
+        th, td { border-bottom: 1px solid #ddd; padding: 6px 8px; text-align: left; vertical-align: top; }
+        th { background: #f4f4f4; }
+        form.filters input, form.filters select { margin: 0 8px 8px 0; }
+        .handled { color: #2e7d32; }
+        .open { color: #c62828; }
+        .label { background: #eee; border-radius: 3px; font-size: 12px; padding: 1px 5px; }
+        .note { border-left: 3px solid #ddd; margin: 8px 0; padding-left: 8px; }
+        pre { background: #f4f4f4; overflow-x: auto; padding: 10px; }
+    </style>
+</head>
+<body>
+${body}
+</body>
+</html>`;
+}
+
+function option(value, label, selected) {
+    return `<option value="${escapeHtml(value)}"${selected ? ' selected' : ''}>${escapeHtml(label)}</option>`;
+}
+
+function filterForm(query) {
+    return `<form class="filters" method="get" action="/dashboard">
+    <select name="platform">
+        ${option('', 'All platforms', !query.platform)}
+        ${option('facebook', 'Facebook', query.platform === 'facebook')}
+        ${option('instagram', 'Instagram', query.platform === 'instagram')}
+    </select>
+    <select name="priority">
+        ${option('', 'Any priority', !query.priority)}
+        ${PRIORITIES.map(priority => option(priority, priority, query.priority === priority)).join('')}
+    </select>
+    <select name="sentiment">
+        ${option('', 'Any sentiment', !query.sentiment)}
+        ${['negative', 'neutral', 'positive'].map(sentiment => option(sentiment, sentiment, query.sentiment === sentiment)).join('')}
+    </select>
+    <select name="status">
+        ${option('', 'Any status', !query.status)}
+        ${TRIAGE_STATUSES.map(status => option(status, status, query.status === status)).join('')}
+    </select>
+    <input name="account" placeholder="Account" value="${escapeHtml(query.account)}">
+    <input name="author" placeholder="Author" value="${escapeHtml(query.author)}">
+    <input name="assignee" placeholder="Assignee" value="${escapeHtml(query.assignee)}">
+    <input name="tag" placeholder="Tag" value="${escapeHtml(query.tag)}">
+    <input name="q" placeholder="Search text" value="${escapeHtml(query.q)}">
+    <input name="from" type="date" value="${escapeHtml(query.from)}">
+    <input name="to" type="date" value="${escapeHtml(query.to)}">
+    <label><input name="include_test" type="checkbox" value="true"${query.include_test === 'true' ? ' checked' : ''}> Test deliveries</label>
+    <button type="submit">Filter</button>
+</form>`;
+}
+
+// Link to another page of the list, keeping the current filters
+function pageLink(query, offset, label) {
+    const params = new URLSearchParams({ ...query, offset: String(offset) });
+    return `<a href="/dashboard?${escapeHtml(params.toString())}">${label}</a>`;
+}
+
+function renderMentionList(result, query, errors) {
+    const rows = result.mentions.map(mention => `<tr>
+        <td>${escapeHtml(formatTime(mention.time))}</td>
+        <td>${escapeHtml(mention.platform)}</td>
+        <td>${escapeHtml(mention.account)}</td>
+        <td>${escapeHtml(mention.author || 'Unknown')}</td>
+        <td>${mention.isTest ? '<span class="label">Test</span> ' : ''}${mention.degraded ? '<span class="label">Details unavailable</span> ' : ''}${escapeHtml(mention.text.slice(0, 140))}</td>
+        <td class="${mention.priority === 'high' ? 'open' : ''}">${escapeHtml(mention.priority)}</td>
+        <td>${mention.tags.map(tag => `<span class="label">${escapeHtml(tag)}</span>`).join(' ')}</td>
+        <td class="${escapeHtml(mention.triage.status)}">${escapeHtml(mention.triage.status)}</td>
+        <td>${escapeHtml(mention.triage.assignee || '')}</td>
+        <td><a href="/dashboard/mentions/${encodeURIComponent(mention.id)}">Open</a></td>
+    </tr>`).join('\n');
+
+    const pages = [];
+    if (result.offset > 0) {
+        pages.push(pageLink(query, Math.max(result.offset - result.limit, 0), '&larr; Newer'));
+    }
+    if (result.offset + result.limit < result.total) {
+        pages.push(pageLink(query, result.offset + result.limit, 'Older &rarr;'));
+    }
+
+    return layout('Mentions', `<h1>Mentions</h1>
+${filterForm(query)}
+${errors.length ? `<p class="open">${errors.map(escapeHtml).join('<br>')}</p>` : ''}
+<p>${result.total} mention(s)</p>
+<table>
+    <tr><th>Time</th><th>Platform</th><th>Account</th><th>Author</th><th>Text</th><th>Priority</th><th>Tags</th><th>Status</th><th>Assignee</th><th></th></tr>
+    ${rows || '<tr><td colspan="10">No mentions found</td></tr>'}
+</table>
+<p>${pages.join(' | ')}</p>`);
+}
+
+function renderMentionDetail(record, summary) {
+    const triage = summary.triage;
+    const url = safeUrl(summary.url);
+    const channels = (record.outcome?.channels || []).map(channel =>
+        `<li>${escapeHtml(channel.channel)}: ${escapeHtml(channel.status)}${channel.error ? ` (${escapeHtml(channel.error)})` : ''}</li>`
+    ).join('');
+    const actions = (record.outcome?.actions || []).map(action =>
+        `<li>${escapeHtml(action.action)} (${escapeHtml(action.rule)}): ${escapeHtml(action.status)}${action.reason || action.error ? ` (${escapeHtml(action.reason || action.error)})` : ''}</li>`
+    ).join('');
+    const notes = triage.notes.map(note => `<div class="note">
+        <div>${escapeHtml(note.text)}</div>
+        <small>${escapeHtml(note.by || 'Unknown')}, ${escapeHtml(formatTime(note.at))}</small>
+    </div>`).join('');
+
+    return layout('Mention', `<p><a href="/dashboard">&larr; All mentions</a></p>
+<h1>${escapeHtml(summary.platform)} ${escapeHtml(summary.mentionType)} mention for ${escapeHtml(summary.account)}</h1>
+<table>
+    <tr><th>Time</th><td>${escapeHtml(formatTime(summary.time))}</td></tr>
+    <tr><th>Author</th><td>${escapeHtml(summary.author || 'Unknown')}</td></tr>
+    <tr><th>Text</th><td>${escapeHtml(summary.text)}</td></tr>
+    <tr><th>Priority</th><td>${escapeHtml(summary.priority)}</td></tr>
+    <tr><th>Sentiment</th><td>${summary.sentiment ? `${escapeHtml(summary.sentiment.label)} (${escapeHtml(summary.sentiment.score)})` : 'Not classified'}</td></tr>
+    <tr><th>Tags</th><td>${escapeHtml(summary.tags.join(', ') || 'None')}</td></tr>
+    <tr><th>Link</th><td>${url ? `<a href="${escapeHtml(url)}" rel="noopener noreferrer">${escapeHtml(url)}</a>` : 'Not available'}</td></tr>
+    <tr><th>Notification</th><td>${escapeHtml(summary.notification || 'unknown')}<ul>${channels}</ul></td></tr>
+    ${actions ? `<tr><th>Actions</th><td><ul>${actions}</ul></td></tr>` : ''}
+    ${summary.isTest ? '<tr><th>Note</th><td>Test delivery</td></tr>' : ''}
+    ${record.mention?.degraded ? `<tr><th>Note</th><td>Details unavailable: ${escapeHtml(record.mention.degraded.error)}</td></tr>` : ''}
+</table>
+
+<h2>Triage</h2>
+<form method="post" action="/dashboard/mentions/${encodeURIComponent(record.id)}">
+    <p>
+        <label>Status
+            <select name="status">${TRIAGE_STATUSES.map(status => option(status, status, triage.status === status)).join('')}</select>
+        </label>
+        <label>Assignee <input name="assignee" value="${escapeHtml(triage.assignee || '')}"></label>
+    </p>
+    <p><textarea name="note" rows="3" cols="60" placeholder="Add a note"></textarea></p>
+    <button type="submit">Save</button>
+</form>
+${triage.updatedAt ? `<p><small>Last updated by ${escapeHtml(triage.updatedBy || 'Unknown')}, ${escapeHtml(formatTime(triage.updatedAt))}</small></p>` : ''}
+${notes}
+
+<h2>Raw payload</h2>
+<pre>${escapeHtml(JSON.stringify(record.payload, null, 2))}</pre>`);
+}
+
+module.exports = {
+    escapeHtml,
+    renderMentionList,
+    renderMentionDetail
+};
@@ -0,0 +1,218 @@
+const fs = require('fs');
+const path = require('path');
+const { keywordPattern } = require('./classifier');
+const logger = require('./logger').logger.child({ module: 'digest' });
+
+const WINDOW_UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// Turn a digest window ("hourly", "daily", "30m", "4h", "2d") into milliseconds
+function parseWindow(window) {
+    if (window === 'hourly') return WINDOW_UNITS.h;
+    if (window === 'daily') return WINDOW_UNITS.d;
+
+    const match = String(window).match(/^([1-9][0-9]*)([mhd])$/);
+    if (!match) {
+        throw new Error(`Invalid digest window "${window}"`);
+    }
+    return Number(match[1]) * WINDOW_UNITS[match[2]];
+}
+
+// Urgent mentions skip the digest and are notified straight away: those containing one of the
+// urgentKeywords (as whole words, like classification keywords), or classified with one of the
+// urgentPriorities
+function isUrgent(mention, digest) {
+    const text = `${mention.postMessage || ''} ${mention.message || ''}`;
+    return (digest.urgentKeywords || []).some(keyword => keywordPattern(keyword).test(text))
+        || (digest.urgentPriorities || []).includes(mention.priority);
+}
+
+// The part of a mention kept in a pending digest
+function digestEntry(mention) {
+    return {
+        platform: mention.platform,
+        account: mention.mentionedUsername || mention.pageId || null,
+        mentionType: mention.mentionType || 'post',
+        author: mention.fromUser || null,
+        text: String(mention.postMessage || mention.message || '').slice(0, 500),
+        url: mention.postUrl || null,
+        time: mention.postCreatedTime || mention.timestamp || new Date().toISOString(),
+        tags: mention.tags || [],
+        priority: mention.priority || 'normal',
+        degraded: !!mention.degraded
+    };
+}
+
+// Pending digests, persisted to a JSON file the same way as the job queue.
+// Mentions are collected per routing rule, channel and recipient list. Windows are aligned to
+// the clock (hourly digests go out on the hour, daily ones at midnight UTC). When a window
+// closes, send(digest) is called; if it throws, the digest is kept and tried again later.
+// After maxAttempts failures the digest is moved to the failed list (the last maxFailed are kept
+// in the same file) and onFailed(digest, error) is called to raise an alert.
+function createDigestQueue(options) {
+    const {
+        filePath,
+        send,
+        onFailed = async () => {},
+        pollIntervalMs = 30 * 1000,
+        retryDelayMs = 5 * 60 * 1000,
+        maxAttempts = 5,
+        maxFailed = 100
+    } = options;
+
+    let digests = [];
+    let failed = [];
+    let timer = null;
+    let flushing = null;
+    let saving = Promise.resolve();
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+    if (fs.existsSync(filePath)) {
+        try {
+            const state = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            digests = state.digests || [];
+            failed = state.failed || [];
+            digests.forEach(digest => { digest.sending = false; });
+        } catch (error) {
+            throw new Error(`Could not read digest file ${filePath}: ${error.message}`);
+        }
+    }
+
+    logger.info('Loaded pending digests', { count: digests.length, file: filePath });
+
+    function persist() {
+        const snapshot = JSON.stringify({ digests, failed });
+        const tempPath = `${filePath}.tmp`;
+        saving = saving
+            .catch(() => {})
+            .then(async () => {
+                await fs.promises.writeFile(tempPath, snapshot);
+                await fs.promises.rename(tempPath, filePath);
+            });
+        return saving;
+    }
+
+    // Add a mention to the digest of a delivery chosen by the routing rules.
+    // Resolves once the digest is on disk.
+    async function add(delivery, mention) {
+        const rule = delivery.rules[0];
+        const recipients = delivery.recipients.slice().sort();
+        const key = [rule, delivery.channel, recipients.join(','), delivery.useChannelDefault].join('|');
+        const windowMs = parseWindow(delivery.digest.window);
+
+        // Once its window has closed a digest takes no more mentions; they start the next one
+        const now = Date.now();
+        let digest = digests.find(item => item.key === key && !item.sending && Date.parse(item.windowEnd) > now);
+        if (!digest) {
+            const windowEnd = (Math.floor(now / windowMs) + 1) * windowMs;
+            digest = {
+                key,
+                rule,
+                channel: delivery.channel,
+                recipients,
+                useChannelDefault: delivery.useChannelDefault,
+                window: delivery.digest.window,
+                windowStart: new Date(windowEnd - windowMs).toISOString(),
+                windowEnd: new Date(windowEnd).toISOString(),
+                nextAttemptAt: windowEnd,
+                attempts: 0,
+                mentions: []
+            };
+            digests.push(digest);
+        }
+
+        digest.mentions.push(digestEntry(mention));
+        await persist();
+        return digest;
+    }
+
+    // Send every digest whose window has closed; a flush already in progress is shared
+    function flush() {
+        if (!flushing) {
+            flushing = sendDue().finally(() => {
+                flushing = null;
+            });
+        }
+        return flushing;
+    }
+
+    async function sendDue() {
+        try {
+            const now = Date.now();
+            for (const digest of digests.filter(item => item.nextAttemptAt <= now)) {
+                digest.sending = true;
+                try {
+                    await send(digest);
+                    digests = digests.filter(item => item !== digest);
+                } catch (error) {
+                    digest.sending = false;
+                    digest.attempts++;
+                    if (digest.attempts >= maxAttempts) {
+                        await giveUp(digest, error);
+                    } else {
+                        digest.nextAttemptAt = Date.now() + retryDelayMs;
+                        logger.error('Digest failed, retrying', { rule: digest.rule, channel: digest.channel, attempt: digest.attempts, delayMs: retryDelayMs, error });
+                    }
+                }
+            }
+            await persist();
+        } catch (error) {
+            logger.error('Error sending digests', { error });
+        }
+    }
+
+    // Move a digest that failed every attempt to the failed list and report it
+    async function giveUp(digest, error) {
+        logger.error('Digest failed, moving to failed list', { rule: digest.rule, channel: digest.channel, attempts: digest.attempts, mentions: digest.mentions.length, error });
+        digests = digests.filter(item => item !== digest);
+        const { sending, ...record } = digest;
+        failed.push({ ...record, failedAt: new Date().toISOString(), lastError: error.message });
+        if (failed.length > maxFailed) {
+            failed = failed.slice(failed.length - maxFailed);
+        }
+
+        try {
+            await onFailed(digest, error);
+        } catch (alertError) {
+            logger.error('Error reporting failed digest', { rule: digest.rule, channel: digest.channel, error: alertError });
+        }
+    }
+
+    function start() {
+        if (timer) return;
+        timer = setInterval(flush, pollIntervalMs);
+        timer.unref();
+        flush();
+    }
+
+    // Stop sending digests; resolves once digests being sent and the file are written
+    async function stop() {
+        clearInterval(timer);
+        timer = null;
+        await flushing;
+        await saving.catch(() => {});
+    }
+
+    function stats() {
+        return {
+            pending: digests.length,
+            mentions: digests.reduce((total, digest) => total + digest.mentions.length, 0),
+            failed: failed.length
+        };
+    }
+
+    return {
+        filePath,
+        add,
+        flush,
+        start,
+        stop,
+        stats
+    };
+}
+
+module.exports = {
+    parseWindow,
+    isUrgent,
+    createDigestQueue
+};
@@ -0,0 +1,258 @@
+const axios = require('axios');
+const metrics = require('./metrics');
+const logger = require('./logger').logger.child({ module: 'graph-client' });
+
+// Graph API error codes Meta uses for rate limiting (app, user, page and business use case limits)
+const RATE_LIMIT_CODES = [4, 17, 32, 613, 80001, 80002, 80003, 80004, 80005, 80006, 80008, 80009, 80014];
+
+// Error codes Meta documents as temporary ("unknown error", "service unavailable")
+const TRANSIENT_CODES = [1, 2];
+
+// A failed Graph API request, with Meta's error details when the API returned them.
+// transient errors are worth retrying; rateLimited ones only after retryAfterMs.
+class GraphError extends Error {
+    constructor(message, details) {
+        super(message);
+        this.name = 'GraphError';
+        this.path = details.path;
+        this.status = details.status || null;
+        this.code = details.code || null;
+        this.subcode = details.subcode || null;
+        this.type = details.type || null;
+        this.fbtraceId = details.fbtraceId || null;
+        this.transient = !!details.transient;
+        this.rateLimited = !!details.rateLimited;
+        this.retryAfterMs = details.retryAfterMs || null;
+    }
+
+    toJSON() {
+        return {
+            message: this.message,
+            path: this.path,
+            status: this.status,
+            code: this.code,
+            subcode: this.subcode,
+            type: this.type,
+            fbtraceId: this.fbtraceId,
+            transient: this.transient,
+            rateLimited: this.rateLimited,
+            retryAfterMs: this.retryAfterMs
+        };
+    }
+}
+
+function parseHeader(value) {
+    if (!value) return null;
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        return null;
+    }
+}
+
+// Read the usage headers of a response. Returns the highest usage percentage they report and
+// the longest estimated_time_to_regain_access (minutes) of the business use case limits.
+function readUsage(headers) {
+    const usage = [];
+    let regainMinutes = 0;
+
+    const appUsage = parseHeader(headers['x-app-usage']);
+    if (appUsage) {
+        usage.push(appUsage.call_count, appUsage.total_cputime, appUsage.total_time);
+    }
+
+    const businessUsage = parseHeader(headers['x-business-use-case-usage']);
+    for (const limits of Object.values(businessUsage || {})) {
+        for (const limit of Array.isArray(limits) ? limits : []) {
+            usage.push(limit.call_count, limit.total_cputime, limit.total_time);
+            regainMinutes = Math.max(regainMinutes, limit.estimated_time_to_regain_access || 0);
+        }
+    }
+
+    const values = usage.filter(value => typeof value === 'number');
+    if (values.length === 0) return null;
+    return { percent: Math.max(...values), regainMinutes };
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Client for the Graph API shared by every lookup and comment action.
+//
+// Options:
+//   apiVersion         Graph API version, e.g. "v19.0"
+//   baseUrl            https://graph.facebook.com, or a local mock
+//   timeoutMs          per-request timeout
+//   maxRetries         retries of transient GET errors (network errors, 5xx, codes 1 and 2)
+//   retryDelayMs       first retry delay, doubled on every retry
+//   usageThreshold     pause requests once the usage headers report this percentage or more
+//   throttleDelayMs    how long to pause when Meta gives no estimated time to regain access
+//
+// While paused, or after Meta answers with a rate limit error, requests fail straight away
+// with a rateLimited GraphError (code THROTTLED while paused) carrying retryAfterMs, the time left
+// in the pause. The job queue holds jobs failing this way until then instead of adding to the load.
+function createGraphClient(options) {
+    const {
+        apiVersion = 'v19.0',
+        baseUrl = 'https://graph.facebook.com',
+        timeoutMs = 10000,
+        maxRetries = 2,
+        retryDelayMs = 1000,
+        usageThreshold = 90,
+        throttleDelayMs = 60 * 1000
+    } = options || {};
+
+    const rootUrl = `${baseUrl.replace(/\/+$/, '')}/${apiVersion.replace(/^\/+|\/+$/g, '')}`;
+    let lastUsage = null;
+    let throttledUntil = 0;
+
+    function throttle(ms, reason) {
+        const until = Date.now() + ms;
+        if (until > throttledUntil) {
+            throttledUntil = until;
+            logger.warn('Pausing Graph API requests', { seconds: Math.round(ms / 1000), reason });
+        }
+    }
+
+    function recordUsage(headers) {
+        const usage = readUsage(headers || {});
+        if (!usage) return;
+
+        lastUsage = { ...usage, at: new Date().toISOString() };
+        if (usage.percent >= usageThreshold) {
+            throttle(usage.regainMinutes ? usage.regainMinutes * 60 * 1000 : throttleDelayMs, `usage at ${usage.percent}%`);
+        }
+    }
+
+    // Turn an axios error into a GraphError
+    function toGraphError(error, path) {
+        const response = error.response;
+        const details = response?.data?.error || {};
+        const status = response?.status;
+        const rateLimited = status === 429 || RATE_LIMIT_CODES.includes(details.code);
+
+        return new GraphError(details.message || error.message, {
+            path,
+            status,
+            code: details.code || (response ? null : error.code),
+            subcode: details.error_subcode,
+            type: details.type,
+            fbtraceId: details.fbtrace_id,
+            rateLimited,
+            transient: rateLimited
+                || !response
+                || status >= 500
+                || !!details.is_transient
+                || TRANSIENT_CODES.includes(details.code)
+        });
+    }
+
+    // GET a Graph API path (e.g. "me" or "12345"), resolving to the response body
+    function get(path, params) {
+        return call('get', path, params);
+    }
+
+    // POST to a Graph API path (e.g. "12345/replies"), resolving to the response body.
+    // POSTs are not retried: a request that timed out may still have been carried out.
+    function post(path, params) {
+        return call('post', path, params);
+    }
+
+    // Send a request, recording it in the graph_api_* metrics
+    async function call(method, path, params) {
+        const endTimer = metrics.graphDuration.startTimer();
+        try {
+            const data = await request(method, path, params);
+            metrics.graphRequests.inc({ outcome: 'ok' });
+            return data;
+        } catch (error) {
+            if (error.code === 'THROTTLED') {
+                metrics.graphRequests.inc({ outcome: 'throttled' });
+            } else {
+                metrics.graphRequests.inc({ outcome: 'error' });
+                let kind = 'permanent';
+                if (error.rateLimited) kind = 'rate_limit';
+                else if (error.transient) kind = 'transient';
+                metrics.graphErrors.inc({ code: String(error.code || error.status || 'unknown'), kind });
+            }
+            throw error;
+        } finally {
+            endTimer();
+        }
+    }
+
+    // Send the request, retrying transient errors of GET requests
+    async function request(method, path, params) {
+        const url = `${rootUrl}/${String(path).replace(/^\/+/, '')}`;
+        const retries = method === 'get' ? maxRetries : 0;
+
+        for (let attempt = 0; ; attempt++) {
+            const waitMs = throttledUntil - Date.now();
+            if (waitMs > 0) {
+                throw new GraphError('Graph API requests are paused because the rate limit is nearly reached', {
+                    path,
+                    code: 'THROTTLED',
+                    transient: true,
+                    rateLimited: true,
+                    retryAfterMs: waitMs
+                });
+            }
+
+            try {
+                const response = await axios.request({ method, url, params, timeout: timeoutMs });
+                recordUsage(response.headers);
+                logger.debug('Graph API response', { method, path, attempt, response: response.data });
+                return response.data;
+            } catch (error) {
+                recordUsage(error.response?.headers);
+                const graphError = toGraphError(error, path);
+
+                if (graphError.rateLimited) {
+                    throttle(throttleDelayMs, `rate limit error ${graphError.code || graphError.status}`);
+                    graphError.retryAfterMs = throttledUntil - Date.now();
+                    throw graphError;
+                }
+                if (!graphError.transient || attempt >= retries) {
+                    throw graphError;
+                }
+
+                const delay = retryDelayMs * Math.pow(2, attempt);
+                logger.warn('Graph API request failed, retrying', { path, delayMs: delay, error: graphError });
+                await sleep(delay);
+            }
+        }
+    }
+
+    // Check that the Graph API can be reached: any answer short of a server error counts, as the
+    // request carries no access token. Resolves to the HTTP status, throws a GraphError otherwise.
+    async function ping() {
+        try {
+            const response = await axios.request({ method: 'get', url: `${rootUrl}/me`, timeout: timeoutMs, validateStatus: status => status < 500 });
+            return response.status;
+        } catch (error) {
+            throw toGraphError(error, 'me');
+        }
+    }
+
+    function stats() {
+        return {
+            apiVersion,
+            baseUrl,
+            usage: lastUsage,
+            throttledUntil: throttledUntil > Date.now() ? new Date(throttledUntil).toISOString() : null
+        };
+    }
+
+    return {
+        get,
+        post,
+        ping,
+        stats
+    };
+}
+
+module.exports = {
+    GraphError,
+    createGraphClient
+};
@@ -0,0 +1,270 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('./logger').logger.child({ module: 'job-queue' });
+
+// Durable job queue backed by a JSON file.
+// Every change is written to disk (write to a temp file, then rename) before it is acknowledged,
+// so queued jobs survive a process restart. Jobs that keep failing end up in the dead-letter list,
+// kept in its own file (deadLetterFilePath) so enqueuing does not rewrite it. The list holds at most
+// maxDeadLetter jobs, none older than deadLetterRetentionDays (0 keeps them until purged).
+// The handler is called as handler(job, { finalAttempt }) and throws to have the job retried.
+// An error with retryAfterMs (e.g. a rate-limited Graph API call) defers the job by that long
+// without counting the attempt, so a long rate limit pause cannot use up every attempt.
+function createJobQueue(options) {
+    const {
+        filePath,
+        deadLetterFilePath = filePath.replace(/(\.json)?$/, '.dead-letter.json'),
+        handler,
+        concurrency = 2,
+        maxAttempts = 5,
+        backoffMs = 5000,
+        maxBackoffMs = 15 * 60 * 1000,
+        pollIntervalMs = 1000,
+        maxDeadLetter = 1000,
+        deadLetterRetentionDays = 30
+    } = options;
+
+    let jobs = [];
+    let deadLetter = [];
+    let active = 0;
+    const running = new Set();
+    let timer = null;
+    let saving = Promise.resolve();
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+    function readState(file) {
+        try {
+            return JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            throw new Error(`Could not read job queue file ${file}: ${error.message}`);
+        }
+    }
+
+    // Dead letters of older versions were kept in the queue file; they move to their own file
+    let migrated = false;
+    if (fs.existsSync(filePath)) {
+        const state = readState(filePath);
+        jobs = state.jobs || [];
+        if (state.deadLetter?.length) {
+            deadLetter = state.deadLetter;
+            migrated = true;
+        }
+
+        // Jobs that were running when the process stopped are picked up again
+        for (const job of jobs) {
+            if (job.status === 'running') {
+                job.status = 'pending';
+            }
+        }
+    }
+    if (fs.existsSync(deadLetterFilePath)) {
+        deadLetter = [...(readState(deadLetterFilePath).jobs || []), ...deadLetter];
+    }
+
+    logger.info('Loaded job queue', { file: filePath, pending: jobs.length, deadLetter: deadLetter.length });
+
+    // Write data to file via a temp file; writes are chained so they land in order
+    function write(file, data) {
+        const snapshot = JSON.stringify(data);
+        const tempPath = `${file}.tmp`;
+        saving = saving
+            .catch(() => {})
+            .then(async () => {
+                await fs.promises.writeFile(tempPath, snapshot);
+                await fs.promises.rename(tempPath, file);
+            });
+        return saving;
+    }
+
+    function persist() {
+        return write(filePath, { jobs });
+    }
+
+    function persistDeadLetter() {
+        return write(deadLetterFilePath, { jobs: deadLetter });
+    }
+
+    // Drop dead letters past the retention period, then the oldest ones beyond maxDeadLetter.
+    // Returns whether any were dropped.
+    function pruneDeadLetter() {
+        const before = deadLetter.length;
+        if (deadLetterRetentionDays > 0) {
+            const cutoff = Date.now() - deadLetterRetentionDays * 24 * 60 * 60 * 1000;
+            deadLetter = deadLetter.filter(job => new Date(job.failedAt).getTime() >= cutoff);
+        }
+        if (deadLetter.length > maxDeadLetter) {
+            deadLetter = deadLetter.slice(deadLetter.length - maxDeadLetter);
+        }
+
+        const dropped = before - deadLetter.length;
+        if (dropped > 0) {
+            logger.warn('Dropped old dead-lettered jobs', { dropped, remaining: deadLetter.length });
+        }
+        return dropped > 0;
+    }
+
+    if (pruneDeadLetter() || migrated) {
+        persistDeadLetter();
+        persist().catch(error => logger.error('Error writing job queue to disk', { error }));
+    }
+
+    // Add a job and resolve once it has been written to disk
+    async function enqueue(type, payload) {
+        const job = {
+            id: crypto.randomUUID(),
+            type: type,
+            payload: payload,
+            status: 'pending',
+            attempts: 0,
+            createdAt: new Date().toISOString(),
+            availableAt: Date.now(),
+            lastError: null
+        };
+
+        jobs.push(job);
+        await persist();
+        setImmediate(pump);
+        return job;
+    }
+
+    // Start as many ready jobs as the concurrency limit allows
+    function pump() {
+        if (!timer) return;
+
+        const now = Date.now();
+        while (active < concurrency) {
+            const job = jobs.find(j => j.status === 'pending' && j.availableAt <= now);
+            if (!job) break;
+            const promise = run(job).finally(() => running.delete(promise));
+            running.add(promise);
+        }
+    }
+
+    async function run(job) {
+        let deadLetterChanged = false;
+        active++;
+        job.status = 'running';
+        job.attempts++;
+
+        try {
+            await handler(job, { finalAttempt: job.attempts >= maxAttempts });
+            jobs = jobs.filter(j => j.id !== job.id);
+        } catch (error) {
+            job.lastError = error.message;
+
+            if (error.retryAfterMs > 0) {
+                logger.warn('Job deferred', { jobId: job.id, jobType: job.type, delayMs: error.retryAfterMs, error });
+                job.attempts--;
+                job.status = 'pending';
+                job.availableAt = Date.now() + error.retryAfterMs;
+            } else if (job.attempts >= maxAttempts) {
+                logger.error('Job failed, moving to dead-letter list', { jobId: job.id, jobType: job.type, attempts: job.attempts, error });
+                jobs = jobs.filter(j => j.id !== job.id);
+                deadLetter.push({ ...job, status: 'dead', failedAt: new Date().toISOString() });
+                pruneDeadLetter();
+                deadLetterChanged = true;
+            } else {
+                const delay = Math.min(backoffMs * Math.pow(2, job.attempts - 1), maxBackoffMs);
+                logger.warn('Job failed, retrying', { jobId: job.id, jobType: job.type, attempt: job.attempts, delayMs: delay, error });
+                job.status = 'pending';
+                job.availableAt = Date.now() + delay;
+            }
+        } finally {
+            active--;
+        }
+
+        try {
+            // The dead letter is written first, so a job is never in neither file
+            if (deadLetterChanged) {
+                await persistDeadLetter();
+            }
+            await persist();
+        } catch (error) {
+            logger.error('Error writing job queue to disk', { error });
+        }
+        setImmediate(pump);
+    }
+
+    // Select dead letters by ID, or all of them when ids is not given
+    function selectDeadLetter(ids) {
+        return ids ? deadLetter.filter(job => ids.includes(job.id)) : deadLetter.slice();
+    }
+
+    // Move dead-lettered jobs (by ID, or all) back into the queue with fresh attempts.
+    // Resolves to the jobs requeued.
+    async function requeueDeadLetter(ids) {
+        const selected = selectDeadLetter(ids);
+        if (selected.length === 0) {
+            return [];
+        }
+
+        const requeued = selected.map(({ failedAt, ...job }) => ({
+            ...job,
+            status: 'pending',
+            attempts: 0,
+            availableAt: Date.now()
+        }));
+        jobs.push(...requeued);
+        await persist();
+        deadLetter = deadLetter.filter(job => !selected.includes(job));
+        await persistDeadLetter();
+
+        logger.info('Requeued dead-lettered jobs', { count: requeued.length });
+        setImmediate(pump);
+        return requeued;
+    }
+
+    // Delete dead-lettered jobs (by ID, or all). Resolves to the number deleted.
+    async function purgeDeadLetter(ids) {
+        const selected = selectDeadLetter(ids);
+        if (selected.length === 0) {
+            return 0;
+        }
+
+        deadLetter = deadLetter.filter(job => !selected.includes(job));
+        await persistDeadLetter();
+        logger.info('Purged dead-lettered jobs', { count: selected.length });
+        return selected.length;
+    }
+
+    function start() {
+        if (timer) return;
+        timer = setInterval(pump, pollIntervalMs);
+        timer.unref();
+        pump();
+    }
+
+    // Stop starting jobs; resolves once the running jobs have finished and the queue is on disk.
+    // Pending jobs stay in the file for the next start.
+    async function stop() {
+        clearInterval(timer);
+        timer = null;
+        await Promise.all(Array.from(running));
+        await saving.catch(() => {});
+    }
+
+    function stats() {
+        return {
+            pending: jobs.filter(j => j.status === 'pending').length,
+            running: active,
+            deadLetter: deadLetter.length
+        };
+    }
+
+    return {
+        filePath,
+        enqueue,
+        start,
+        stop,
+        stats,
+        listDeadLetter: () => deadLetter.slice(),
+        requeueDeadLetter,
+        purgeDeadLetter
+    };
+}
+
+module.exports = {
+    createJobQueue
+};
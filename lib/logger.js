@@ -0,0 +1,159 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Keys whose values are always replaced, wherever they appear in the logged fields
+const SECRET_FIELDS = [
+    'token', 'access_token', 'input_token', 'accessToken', 'appsecret_proof', 'secret', 'appSecret',
+    'password', 'pass', 'authorization', 'cookie', 'apiKey', 'api_key', 'x-api-key', 'x-hub-signature-256'
+];
+
+// Personal data in webhook payloads and mentions, redacted unless LOG_REDACT_FIELDS says otherwise
+const DEFAULT_PII_FIELDS = [
+    'message', 'text', 'caption', 'postMessage', 'postCaption', 'fromUser', 'fromUserPicture', 'senderName',
+    'name', 'sender_name', 'username', 'picture', 'profile_pic', 'email', 'recipients', 'to'
+];
+
+const REDACTED = '[REDACTED]';
+
+// Correlation fields (correlationId, jobId, ...) of the current request or job
+const context = new AsyncLocalStorage();
+
+// Run fn with extra correlation fields; everything logged inside it, including from
+// callbacks and awaited calls, carries them
+function withContext(fields, fn) {
+    return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+function currentContext() {
+    return context.getStore() || {};
+}
+
+function serializeError(error) {
+    return {
+        name: error.name,
+        message: error.message,
+        ...(typeof error.toJSON === 'function' ? error.toJSON() : {}),
+        ...(error.code !== undefined ? { code: error.code } : {}),
+        stack: error.stack
+    };
+}
+
+// Leveled logger writing one JSON object per line:
+//   {"time":"...","level":"info","msg":"...","correlationId":"...",...fields}
+//
+// Options:
+//   level          minimum level written: debug, info, warn or error
+//   redactFields   keys (case-insensitive) whose values are replaced by "[REDACTED]" at any depth,
+//                  on top of access tokens and other secrets, which are always redacted
+//   write          function receiving each line (defaults to stdout, and stderr for errors)
+function createLogger(options, bindings) {
+    const {
+        level = 'info',
+        redactFields = DEFAULT_PII_FIELDS,
+        write
+    } = options || {};
+
+    const minimum = LEVELS[level] || LEVELS.info;
+    const redacted = new Set([...SECRET_FIELDS, ...redactFields].map(field => field.toLowerCase()));
+
+    function redact(value, seen) {
+        if (typeof value === 'string') {
+            // Tokens also end up in URLs, e.g. in axios error messages
+            return value.replace(/(access_token|input_token|appsecret_proof|hub\.verify_token)=[^&\s"]+/g, `$1=${REDACTED}`);
+        }
+        if (value instanceof Error) {
+            return redact(serializeError(value), seen);
+        }
+        if (!value || typeof value !== 'object' || value instanceof Date) {
+            return value;
+        }
+        if (seen.has(value)) {
+            return '[Circular]';
+        }
+        seen.add(value);
+
+        const result = Array.isArray(value) ? [] : {};
+        for (const [key, item] of Object.entries(value)) {
+            result[key] = redacted.has(key.toLowerCase()) && item !== undefined && item !== null
+                ? REDACTED
+                : redact(item, seen);
+        }
+        seen.delete(value);
+        return result;
+    }
+
+    function log(levelName, msg, fields) {
+        if (LEVELS[levelName] < minimum) return;
+
+        const { error, ...rest } = fields || {};
+        const entry = {
+            time: new Date().toISOString(),
+            level: levelName,
+            msg: redact(String(msg), new Set()),
+            ...currentContext(),
+            ...bindings,
+            ...redact(rest, new Set())
+        };
+        // Errors are kept whole (message, code, stack) apart from secrets in their text
+        if (error instanceof Error) {
+            entry.error = {};
+            for (const [key, item] of Object.entries(serializeError(error))) {
+                entry.error[key] = typeof item === 'string' ? redact(item) : item;
+            }
+        } else if (error !== undefined) {
+            entry.error = redact(error, new Set());
+        }
+
+        let line;
+        try {
+            line = JSON.stringify(entry);
+        } catch (serializeFailure) {
+            line = JSON.stringify({ time: entry.time, level: levelName, msg: entry.msg, logError: serializeFailure.message });
+        }
+
+        if (write) {
+            write(line);
+        } else if (LEVELS[levelName] >= LEVELS.error) {
+            process.stderr.write(`${line}\n`);
+        } else {
+            process.stdout.write(`${line}\n`);
+        }
+    }
+
+    return {
+        level,
+        isLevelEnabled: (levelName) => LEVELS[levelName] >= minimum,
+        debug: (msg, fields) => log('debug', msg, fields),
+        info: (msg, fields) => log('info', msg, fields),
+        warn: (msg, fields) => log('warn', msg, fields),
+        error: (msg, fields) => log('error', msg, fields),
+        // Logger adding fixed fields (e.g. { module: 'job-queue' }) to every line
+        child: (childBindings) => createLogger(options, { ...bindings, ...childBindings })
+    };
+}
+
+// LOG_REDACT_FIELDS replaces the default PII list; set it to "none" to log personal data
+function redactFieldsFromEnv(env) {
+    if (env.LOG_REDACT_FIELDS === undefined || env.LOG_REDACT_FIELDS === '') {
+        return DEFAULT_PII_FIELDS;
+    }
+    if (env.LOG_REDACT_FIELDS.trim().toLowerCase() === 'none') {
+        return [];
+    }
+    return env.LOG_REDACT_FIELDS.split(',').map(field => field.trim()).filter(Boolean);
+}
+
+// Shared logger configured from LOG_LEVEL and LOG_REDACT_FIELDS
+const logger = createLogger({
+    level: (process.env.LOG_LEVEL || 'info').toLowerCase(),
+    redactFields: redactFieldsFromEnv(process.env)
+});
+
+module.exports = {
+    LEVELS,
+    logger,
+    createLogger,
+    withContext,
+    currentContext
+};
@@ -0,0 +1,83 @@
+// Find @mentions and #hashtags in comment text.
+//
+// Instagram usernames (and Facebook usernames) consist of letters, digits, periods and
+// underscores, up to 30 characters. A mention has to start at a word boundary, so the "@" in
+// an email address does not count, and has to end there too, so "@brand" is not found in
+// "@brandofficial" or "@brand.official". A period at the end is punctuation, not part of the name.
+const MENTION_PATTERN = /(?<![A-Za-z0-9._@])@([A-Za-z0-9._]{1,30})(?![A-Za-z0-9_]|\.[A-Za-z0-9_])/g;
+
+// Hashtags are letters (in any script), digits and underscores after a "#"
+const HASHTAG_PATTERN = /(?<![\p{L}\p{N}_&#])#([\p{L}\p{N}_]+)/gu;
+
+// Lower-cased usernames mentioned in a text, without duplicates
+function parseMentions(text) {
+    const usernames = Array.from(String(text || '').matchAll(MENTION_PATTERN))
+        .map(match => match[1].replace(/\.+$/, '').toLowerCase())
+        .filter(Boolean);
+    return Array.from(new Set(usernames));
+}
+
+// Lower-cased hashtags (without "#") used in a text, without duplicates
+function parseHashtags(text) {
+    const hashtags = Array.from(String(text || '').matchAll(HASHTAG_PATTERN))
+        .map(match => match[1].toLowerCase());
+    return Array.from(new Set(hashtags));
+}
+
+// Normalize a configured hashtag ("#Brand" or "brand") for comparison
+function normalizeHashtag(hashtag) {
+    return String(hashtag).replace(/^#/, '').toLowerCase();
+}
+
+// Work out every monitored account a comment refers to. Returns one entry per account:
+//   { username, pageId, matchedBy: ['mention' | 'tag' | 'hashtag'], hashtags }
+// Instagram comments match on @username; Facebook comments on the pages in message_tags.
+// Configured hashtags match the accounts of the pages that configured them.
+function matchAccounts(comment, lookups) {
+    const { platform, text, taggedIds = [] } = comment;
+    const { facebookPages, instagramAccounts, hashtagPages } = lookups;
+    const matches = new Map();
+
+    function add(key, account, reason, hashtag) {
+        const match = matches.get(key) || { ...account, matchedBy: [], hashtags: [] };
+        if (!match.matchedBy.includes(reason)) match.matchedBy.push(reason);
+        if (hashtag && !match.hashtags.includes(hashtag)) match.hashtags.push(hashtag);
+        matches.set(key, match);
+    }
+
+    if (platform === 'instagram') {
+        for (const username of parseMentions(text)) {
+            if (instagramAccounts[username]) {
+                add(username, { username, pageId: instagramAccounts[username].pageId }, 'mention');
+            }
+        }
+    } else {
+        for (const id of taggedIds.map(String)) {
+            if (facebookPages[id]) {
+                add(id, { username: facebookPages[id].name, pageId: id }, 'tag');
+            }
+        }
+    }
+
+    for (const hashtag of parseHashtags(text)) {
+        for (const pageId of hashtagPages[hashtag] || []) {
+            if (platform === 'instagram') {
+                const username = Object.keys(instagramAccounts).find(key => instagramAccounts[key].pageId === pageId);
+                if (username) {
+                    add(username, { username, pageId }, 'hashtag', hashtag);
+                }
+            } else if (facebookPages[pageId]) {
+                add(pageId, { username: facebookPages[pageId].name, pageId }, 'hashtag', hashtag);
+            }
+        }
+    }
+
+    return Array.from(matches.values());
+}
+
+module.exports = {
+    parseMentions,
+    parseHashtags,
+    normalizeHashtag,
+    matchAccounts
+};
@@ -0,0 +1,194 @@
+const { TRIAGE_STATUSES, defaultTriage } = require('./mention-store');
+const { PRIORITIES } = require('./classifier');
+
+const SENTIMENTS = ['negative', 'neutral', 'positive'];
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+// Parse a date filter. A bare date (2024-05-01) covers that whole day, so as an upper
+// bound it is moved to the start of the next day.
+function parseDate(value, endOfDay) {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        return null;
+    }
+    if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        date.setUTCDate(date.getUTCDate() + 1);
+    }
+    return date;
+}
+
+// Turn query string parameters into filters. Returns { filters, errors }.
+//   platform, account, author, q (text search), tag, priority, sentiment, status, assignee,
+//   from, to, include_test=true, limit, offset
+function parseMentionFilters(query) {
+    const errors = [];
+    const filters = {
+        platform: query.platform ? String(query.platform).toLowerCase() : null,
+        account: query.account ? String(query.account).toLowerCase() : null,
+        author: query.author ? String(query.author).toLowerCase() : null,
+        text: query.q ? String(query.q).toLowerCase() : null,
+        tag: query.tag ? String(query.tag).toLowerCase() : null,
+        priority: query.priority || null,
+        sentiment: query.sentiment || null,
+        status: query.status || null,
+        assignee: query.assignee ? String(query.assignee).toLowerCase() : null,
+        from: null,
+        to: null,
+        includeTest: query.include_test === 'true',
+        limit: DEFAULT_LIMIT,
+        offset: 0
+    };
+
+    if (filters.status && !TRIAGE_STATUSES.includes(filters.status)) {
+        errors.push(`status must be one of ${TRIAGE_STATUSES.join(', ')}`);
+    }
+    if (filters.priority && !PRIORITIES.includes(filters.priority)) {
+        errors.push(`priority must be one of ${PRIORITIES.join(', ')}`);
+    }
+    if (filters.sentiment && !SENTIMENTS.includes(filters.sentiment)) {
+        errors.push(`sentiment must be one of ${SENTIMENTS.join(', ')}`);
+    }
+
+    for (const field of ['from', 'to']) {
+        if (query[field]) {
+            filters[field] = parseDate(String(query[field]), field === 'to');
+            if (!filters[field]) {
+                errors.push(`${field} must be a date or timestamp (e.g. 2024-05-01 or 2024-05-01T12:00:00Z)`);
+            }
+        }
+    }
+
+    if (query.limit !== undefined) {
+        const limit = Number(query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+            errors.push(`limit must be a whole number between 1 and ${MAX_LIMIT}`);
+        } else {
+            filters.limit = limit;
+        }
+    }
+    if (query.offset !== undefined) {
+        const offset = Number(query.offset);
+        if (!Number.isInteger(offset) || offset < 0) {
+            errors.push('offset must be a whole number of at least 0');
+        } else {
+            filters.offset = offset;
+        }
+    }
+
+    return { filters, errors };
+}
+
+// Validate triage changes sent by the API or the dashboard form: status, assignee, note.
+// Returns { changes, errors }; fields that are absent are left unchanged.
+function parseTriageChanges(body) {
+    const errors = [];
+    const changes = {};
+    body = body || {};
+
+    if (body.status !== undefined) {
+        if (!TRIAGE_STATUSES.includes(body.status)) {
+            errors.push(`status must be one of ${TRIAGE_STATUSES.join(', ')}`);
+        } else {
+            changes.status = body.status;
+        }
+    }
+    if (body.assignee !== undefined) {
+        if (body.assignee !== null && typeof body.assignee !== 'string') {
+            errors.push('assignee must be a string or null');
+        } else {
+            changes.assignee = body.assignee ? body.assignee.trim() : null;
+        }
+    }
+    if (body.note !== undefined) {
+        if (typeof body.note !== 'string') {
+            errors.push('note must be a string');
+        } else if (body.note.trim()) {
+            changes.note = body.note.trim();
+        }
+    }
+
+    return { changes, errors };
+}
+
+// When the mention happened: the post time from the Graph API, else when it was received
+function mentionTime(record) {
+    return new Date(record.mention?.postCreatedTime || record.mention?.timestamp || record.firstSeenAt);
+}
+
+function contains(value, search) {
+    return String(value || '').toLowerCase().includes(search);
+}
+
+function matchesFilters(record, filters) {
+    const mention = record.mention || {};
+    const triage = record.triage || defaultTriage();
+
+    if (!filters.includeTest && mention.isTest) return false;
+    if (filters.platform && record.platform !== filters.platform) return false;
+    if (filters.account) {
+        // Accounts are matched by page ID or Instagram username, as in routing rules
+        const accounts = [mention.pageId, mention.mentionedUsername].filter(Boolean).map(value => String(value).toLowerCase());
+        if (!accounts.includes(filters.account)) return false;
+    }
+    if (filters.author && !contains(mention.fromUser, filters.author)) return false;
+    if (filters.text && !contains(mention.postMessage, filters.text) && !contains(mention.message, filters.text)) return false;
+    if (filters.tag && !(mention.tags || []).some(tag => tag.toLowerCase() === filters.tag)) return false;
+    if (filters.priority && (mention.priority || 'normal') !== filters.priority) return false;
+    if (filters.sentiment && mention.sentiment?.label !== filters.sentiment) return false;
+    if (filters.status && triage.status !== filters.status) return false;
+    if (filters.assignee && String(triage.assignee || '').toLowerCase() !== filters.assignee) return false;
+
+    const time = mentionTime(record);
+    if (filters.from && time < filters.from) return false;
+    if (filters.to && time >= filters.to) return false;
+
+    return true;
+}
+
+// The fields of a stored mention shown in lists; the full record (with the raw payload)
+// is only returned for a single mention
+function summarizeMention(record) {
+    const mention = record.mention || {};
+    return {
+        id: record.id,
+        platform: record.platform,
+        account: mention.mentionedUsername || mention.pageId || null,
+        mentionType: mention.mentionType || 'post',
+        author: mention.fromUser || null,
+        text: mention.postMessage || mention.message || '',
+        url: mention.postUrl || null,
+        time: mentionTime(record).toISOString(),
+        tags: mention.tags || [],
+        priority: mention.priority || 'normal',
+        sentiment: mention.sentiment || null,
+        isTest: !!mention.isTest,
+        degraded: !!mention.degraded,
+        notification: record.outcome?.status || null,
+        triage: record.triage || defaultTriage(),
+        firstSeenAt: record.firstSeenAt,
+        processedAt: record.processedAt
+    };
+}
+
+// Filter, sort (newest first) and page through stored mentions
+function queryMentions(records, filters) {
+    const matches = records
+        .filter(record => matchesFilters(record, filters))
+        .sort((a, b) => mentionTime(b) - mentionTime(a));
+
+    return {
+        total: matches.length,
+        limit: filters.limit,
+        offset: filters.offset,
+        mentions: matches.slice(filters.offset, filters.offset + filters.limit).map(summarizeMention)
+    };
+}
+
+module.exports = {
+    parseMentionFilters,
+    parseTriageChanges,
+    queryMentions,
+    summarizeMention
+};
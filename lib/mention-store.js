@@ -0,0 +1,222 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('./logger').logger.child({ module: 'mention-store' });
+
+// Build the key used to recognise the same mention across webhook redeliveries.
+// Comment and message IDs are the most specific, then post IDs (Facebook) and media IDs (Instagram).
+// Test deliveries get their own namespace so their sample IDs never mask a real mention.
+// The monitored account it was delivered for (matchedAccount: page ID or Instagram username) is part
+// of the key, so a post or comment mentioning several of our accounts is notified once per account.
+function mentionKey(mentionInfo) {
+    const itemId = mentionInfo.commentId || mentionInfo.messageId || mentionInfo.postId || mentionInfo.mediaId;
+    if (!itemId) {
+        return null;
+    }
+    const account = mentionInfo.matchedAccount ? `:${mentionInfo.matchedAccount}` : '';
+    return `${mentionInfo.isTest ? 'test:' : ''}${mentionInfo.platform}:${itemId}${account}`;
+}
+
+const TRIAGE_STATUSES = ['open', 'handled'];
+
+// Triage state of a mention that nobody has looked at yet
+function defaultTriage() {
+    return { status: 'open', assignee: null, notes: [], updatedAt: null, updatedBy: null };
+}
+
+// Superseded lines tolerated in the file before it is rewritten while running
+const COMPACT_MIN_STALE_LINES = 1000;
+
+// Append-only JSON-lines store of processed mentions.
+// Every write appends the full record; on load, later lines replace earlier ones with the same id.
+// The file is compacted to one line per record (written to a temp file, then renamed) on load, and
+// while running once the superseded lines outnumber the records (and at least COMPACT_MIN_STALE_LINES).
+function createMentionStore(filePath) {
+    const records = new Map();
+    const idsByKey = new Map();
+    let writeQueue = Promise.resolve();
+    let staleLines = 0;
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+    if (fs.existsSync(filePath)) {
+        const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+        for (const line of lines) {
+            if (!line.trim()) continue;
+            try {
+                const record = JSON.parse(line);
+                if (records.has(record.id)) {
+                    staleLines++;
+                }
+                records.set(record.id, record);
+                if (record.key) {
+                    idsByKey.set(record.key, record.id);
+                }
+            } catch (error) {
+                staleLines++;
+                logger.warn('Skipping unreadable line in mention store', { file: filePath, error });
+            }
+        }
+    }
+
+    logger.info('Loaded mentions', { count: records.size, file: filePath });
+
+    // The file with one line per record
+    function snapshot() {
+        return Array.from(records.values(), record => JSON.stringify(record) + '\n').join('');
+    }
+
+    if (staleLines > 0) {
+        try {
+            const tempPath = `${filePath}.tmp`;
+            fs.writeFileSync(tempPath, snapshot());
+            fs.renameSync(tempPath, filePath);
+            logger.info('Compacted mention store', { file: filePath, removedLines: staleLines });
+            staleLines = 0;
+        } catch (error) {
+            logger.warn('Could not compact mention store', { file: filePath, error });
+        }
+    }
+
+    // Rewrite the file with one line per record; queued with the appends so none is lost
+    function compact() {
+        const removedLines = staleLines;
+        staleLines = 0;
+        writeQueue = writeQueue
+            .catch(() => {})
+            .then(async () => {
+                const tempPath = `${filePath}.tmp`;
+                await fs.promises.writeFile(tempPath, snapshot());
+                await fs.promises.rename(tempPath, filePath);
+                logger.info('Compacted mention store', { file: filePath, removedLines });
+            });
+        return writeQueue;
+    }
+
+    // Serialize appends so concurrent handlers cannot interleave partial lines.
+    // replaces is true when the record supersedes a line already in the file.
+    function append(record, replaces) {
+        const line = JSON.stringify(record) + '\n';
+        writeQueue = writeQueue
+            .catch(() => {})
+            .then(() => fs.promises.appendFile(filePath, line));
+
+        if (replaces) {
+            staleLines++;
+            if (staleLines >= Math.max(COMPACT_MIN_STALE_LINES, records.size)) {
+                return compact();
+            }
+        }
+        return writeQueue;
+    }
+
+    function findByKey(key) {
+        const id = idsByKey.get(key);
+        return id ? records.get(id) : null;
+    }
+
+    // A mention counts as seen once a notification for it went out successfully (or it was
+    // added to a digest). Failed deliveries stay eligible so a redelivery can try again.
+    function isProcessed(key) {
+        if (!key) return false;
+        const record = findByKey(key);
+        return !!record && ['sent', 'queued'].includes(record.outcome?.status);
+    }
+
+    // Keys of mentions being delivered right now. A delivery reserves its key before notifying and
+    // releases it once the outcome is recorded, so two jobs for the same redelivered mention cannot
+    // both pass the duplicate check. Resolves to false if the mention was processed already or
+    // another delivery holds it; mentions without a key are always let through.
+    const inFlight = new Set();
+
+    function reserve(key) {
+        if (!key) return true;
+        if (inFlight.has(key) || isProcessed(key)) return false;
+        inFlight.add(key);
+        return true;
+    }
+
+    function release(key) {
+        inFlight.delete(key);
+    }
+
+    // Record the outcome of processing a mention, updating any earlier attempt with the same key
+    async function recordMention(mentionInfo, payload, outcome) {
+        const key = mentionKey(mentionInfo);
+        const existing = key ? findByKey(key) : null;
+        const now = new Date().toISOString();
+
+        const record = {
+            id: existing?.id || crypto.randomUUID(),
+            key: key,
+            platform: mentionInfo.platform,
+            mention: mentionInfo,
+            payload: payload,
+            outcome: outcome,
+            triage: existing?.triage || defaultTriage(),
+            attempts: (existing?.attempts || 0) + 1,
+            firstSeenAt: existing?.firstSeenAt || now,
+            processedAt: now
+        };
+
+        records.set(record.id, record);
+        if (key) {
+            idsByKey.set(key, record.id);
+        }
+
+        await append(record, !!existing);
+        return record;
+    }
+
+    // Apply triage changes from the dashboard or API: { status, assignee, note, by }.
+    // Notes are appended, never replaced. Resolves to the updated record, or null if it does not exist.
+    async function updateTriage(id, changes) {
+        const existing = records.get(id);
+        if (!existing) {
+            return null;
+        }
+
+        const now = new Date().toISOString();
+        const triage = { ...defaultTriage(), ...existing.triage };
+
+        if (changes.status !== undefined) {
+            if (!TRIAGE_STATUSES.includes(changes.status)) {
+                throw new Error(`Triage status must be one of ${TRIAGE_STATUSES.join(', ')}`);
+            }
+            triage.status = changes.status;
+        }
+        if (changes.assignee !== undefined) {
+            triage.assignee = changes.assignee || null;
+        }
+        if (changes.note) {
+            triage.notes = [...triage.notes, { text: changes.note, by: changes.by || null, at: now }];
+        }
+        triage.updatedAt = now;
+        triage.updatedBy = changes.by || null;
+
+        const record = { ...existing, triage };
+        records.set(record.id, record);
+
+        await append(record, true);
+        return record;
+    }
+
+    return {
+        filePath,
+        get: (id) => records.get(id) || null,
+        list: () => Array.from(records.values()),
+        findByKey,
+        isProcessed,
+        reserve,
+        release,
+        recordMention,
+        updateTriage
+    };
+}
+
+module.exports = {
+    TRIAGE_STATUSES,
+    defaultTriage,
+    mentionKey,
+    createMentionStore
+};
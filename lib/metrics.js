@@ -0,0 +1,126 @@
+const client = require('prom-client');
+
+// Prometheus metrics for the webhook and notification pipeline, served by GET /metrics.
+// The modules doing the work update these directly; queue depths are read when scraped.
+const register = new client.Registry();
+client.collectDefaultMetrics({ register });
+
+const durationBuckets = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+const webhookEvents = new client.Counter({
+    name: 'webhook_events_received_total',
+    help: 'Webhook changes and messaging events received, by object and field',
+    labelNames: ['object', 'field'],
+    registers: [register]
+});
+
+const mentionsProcessed = new client.Counter({
+    name: 'mentions_processed_total',
+    help: 'Mentions processed, by platform, account, mention type and notification status',
+    labelNames: ['platform', 'account', 'mention_type', 'status'],
+    registers: [register]
+});
+
+const mentionActions = new client.Counter({
+    name: 'mention_actions_total',
+    help: 'Replies, hides and likes on comment mentions, by action and status (done, dry_run, skipped or failed)',
+    labelNames: ['action', 'status'],
+    registers: [register]
+});
+
+const jobDuration = new client.Histogram({
+    name: 'webhook_job_duration_seconds',
+    help: 'Time taken to process a queued webhook job, by field and outcome',
+    labelNames: ['field', 'outcome'],
+    buckets: durationBuckets,
+    registers: [register]
+});
+
+const graphRequests = new client.Counter({
+    name: 'graph_api_requests_total',
+    help: 'Graph API requests, by outcome (ok, error or throttled before sending)',
+    labelNames: ['outcome'],
+    registers: [register]
+});
+
+const graphErrors = new client.Counter({
+    name: 'graph_api_errors_total',
+    help: 'Failed Graph API requests, by error code and kind (rate_limit, transient or permanent)',
+    labelNames: ['code', 'kind'],
+    registers: [register]
+});
+
+const graphDuration = new client.Histogram({
+    name: 'graph_api_request_duration_seconds',
+    help: 'Duration of Graph API requests, including retries',
+    buckets: durationBuckets,
+    registers: [register]
+});
+
+const cacheLookups = new client.Counter({
+    name: 'graph_cache_lookups_total',
+    help: 'Lookups in the Graph API caches, by cache and result (hit, miss or coalesced)',
+    labelNames: ['cache', 'result'],
+    registers: [register]
+});
+
+const notifications = new client.Counter({
+    name: 'notifications_total',
+    help: 'Notifications sent through the channels, by channel, type, kind (mention, alert or digest) and status',
+    labelNames: ['channel', 'type', 'kind', 'status'],
+    registers: [register]
+});
+
+const notificationDuration = new client.Histogram({
+    name: 'notification_send_duration_seconds',
+    help: 'Time taken to send a notification through a channel',
+    labelNames: ['channel', 'type', 'kind'],
+    buckets: durationBuckets,
+    registers: [register]
+});
+
+// Queues whose depth is reported, set once they are created
+const queues = {};
+
+new client.Gauge({
+    name: 'job_queue_jobs',
+    help: 'Jobs in the webhook job queue, by state',
+    labelNames: ['state'],
+    registers: [register],
+    collect() {
+        if (!queues.jobQueue) return;
+        const stats = queues.jobQueue.stats();
+        this.set({ state: 'pending' }, stats.pending);
+        this.set({ state: 'running' }, stats.running);
+        this.set({ state: 'dead_letter' }, stats.deadLetter);
+    }
+});
+
+new client.Gauge({
+    name: 'digest_mentions_pending',
+    help: 'Mentions collected in digests that have not been sent yet',
+    registers: [register],
+    collect() {
+        if (!queues.digestQueue) return;
+        this.set(queues.digestQueue.stats().mentions);
+    }
+});
+
+function trackQueues(options) {
+    Object.assign(queues, options);
+}
+
+module.exports = {
+    register,
+    webhookEvents,
+    mentionsProcessed,
+    mentionActions,
+    jobDuration,
+    graphRequests,
+    graphErrors,
+    graphDuration,
+    cacheLookups,
+    notifications,
+    notificationDuration,
+    trackQueues
+};
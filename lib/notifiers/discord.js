@@ -0,0 +1,110 @@
+const axios = require('axios');
+const { describeMention, describeDigest, formatTopAuthors, safeUrl, escapeMarkdown, markdownLink, truncate } = require('./format');
+const { createTemplateRenderer, markLast } = require('./templates');
+const logger = require('../logger').logger.child({ module: 'notifiers/discord' });
+
+// Discord rejects a message (400) with an embed field value over 1024 characters
+const FIELD_VALUE_LIMIT = 1024;
+
+// A media link, or just the media type when the link would not fit in a field
+function mediaField(details) {
+    const link = markdownLink(details.mediaType, details.mediaUrl);
+    return link.length <= FIELD_VALUE_LIMIT ? link : truncate(escapeMarkdown(details.mediaType), FIELD_VALUE_LIMIT);
+}
+
+// Template values for a mention. Mention content is Markdown-escaped and only http(s) URLs are
+// linked; the templates escape the values for JSON.
+function mentionView(details, options) {
+    const text = escapeMarkdown(details.text);
+    return {
+        username: options.username || 'Mention Monitor',
+        title: details.title,
+        heading: truncate(details.heading, 256),
+        url: safeUrl(details.url),
+        description: truncate(details.notice ? `⚠️ ${escapeMarkdown(details.notice)}\n\n${text}` : text, 4096),
+        color: details.notice ? 0xF29900 : (details.platform === 'Instagram' ? 0xC13584 : 0x3B5998),
+        account: truncate(escapeMarkdown(details.account), FIELD_VALUE_LIMIT),
+        author: truncate(escapeMarkdown(details.author), FIELD_VALUE_LIMIT),
+        mentionTypeLabel: details.mentionTypeLabel,
+        priority: details.priority,
+        sentiment: truncate(details.sentiment || 'Unknown', FIELD_VALUE_LIMIT),
+        tags: details.tags ? truncate(escapeMarkdown(details.tags), FIELD_VALUE_LIMIT) : '',
+        media: safeUrl(details.mediaUrl) && details.mediaType ? mediaField(details) : '',
+        timestamp: details.time.toISOString()
+    };
+}
+
+function alertView(alert, options) {
+    return {
+        username: options.username || 'Mention Monitor',
+        title: alert.title,
+        heading: truncate(alert.title, 256),
+        message: truncate(alert.message, 4096),
+        color: alert.severity === 'critical' ? 0xD93025 : 0xF29900,
+        fields: markLast((alert.fields || []).slice(0, 25).map(field => ({ label: field.label, value: truncate(String(field.value), FIELD_VALUE_LIMIT) }))),
+        timestamp: new Date().toISOString()
+    };
+}
+
+// One embed per account and platform (Discord allows at most 10 embeds per message)
+function digestView(summary, options) {
+    return {
+        username: options.username || 'Mention Monitor',
+        title: summary.title,
+        groups: markLast(summary.groups.slice(0, 10).map(group => ({
+            heading: truncate(`${group.platform} - ${escapeMarkdown(group.account)} (${group.count})`, 256),
+            color: group.platform === 'Instagram' ? 0xC13584 : 0x3B5998,
+            topAuthors: escapeMarkdown(formatTopAuthors(group.topAuthors)),
+            mentions: group.mentions.map(mention => ({
+                author: escapeMarkdown(mention.author),
+                link: markdownLink(truncate(mention.text.replace(/\s+/g, ' '), 120), mention.url)
+            })),
+            more: group.more
+        }))),
+        timestamp: summary.end.toISOString()
+    };
+}
+
+// Mention text must never ping @everyone, roles or users in the Discord server, whatever the
+// template says
+function withoutPings(message) {
+    return { ...message, allowed_mentions: { parse: [] } };
+}
+
+// Discord webhook channel. Options: url, username, templates (directory overriding the built-in
+// templates, see templates.js), locale, timeZone.
+function createDiscordNotifier(name, options) {
+    const templates = createTemplateRenderer('discord', options.templates);
+
+    async function send(mention) {
+        const message = templates.renderJson('mention', mentionView(describeMention(mention), options), [mention.mentionedUsername, mention.pageId]);
+        await axios.post(options.url, withoutPings(message), { timeout: 10000 });
+        logger.info('Notification sent', { channel: name });
+        return {};
+    }
+
+    async function sendAlert(alert) {
+        await axios.post(options.url, withoutPings(templates.renderJson('alert', alertView(alert, options))), { timeout: 10000 });
+        logger.info('Alert sent', { channel: name });
+        return {};
+    }
+
+    async function sendDigest(digest) {
+        await axios.post(options.url, withoutPings(templates.renderJson('digest', digestView(describeDigest(digest, options), options))), { timeout: 10000 });
+        logger.info('Digest sent', { channel: name });
+        return {};
+    }
+
+    return {
+        name,
+        type: 'discord',
+        describe: () => ({ templates: options.templates || null }),
+        send,
+        sendAlert,
+        sendDigest
+    };
+}
+
+module.exports = {
+    createDiscordNotifier
+};
@@ -0,0 +1,153 @@
+const nodemailer = require('nodemailer');
+const { describeMention, describeDigest, formatTopAuthors, formatDateTime, safeUrl, truncate } = require('./format');
+const { createTemplateRenderer } = require('./templates');
+const logger = require('../logger').logger.child({ module: 'notifiers/email' });
+
+// Template values for a mention; the templates escape them for HTML
+function mentionView(details, options) {
+    const mediaUrl = details.mediaType ? safeUrl(details.mediaUrl) : '';
+    return {
+        ...details,
+        time: formatDateTime(details.time, options),
+        url: safeUrl(details.url),
+        mediaUrl: mediaUrl
+    };
+}
+
+function alertView(alert) {
+    return {
+        ...alert,
+        color: alert.severity === 'critical' ? '#d93025' : '#f29900',
+        fields: alert.fields || []
+    };
+}
+
+function digestView(summary, options) {
+    return {
+        heading: summary.heading,
+        groups: summary.groups.map(group => ({
+            ...group,
+            topAuthors: formatTopAuthors(group.topAuthors),
+            mentions: group.mentions.map(mention => ({
+                ...mention,
+                time: formatDateTime(mention.time, options),
+                text: truncate(mention.text, 200),
+                url: safeUrl(mention.url)
+            }))
+        }))
+    };
+}
+
+// Email channel using nodemailer. Options: from, to, smtp ({ host, port, secure, user, pass }) or transporter,
+// templates (directory overriding the built-in templates, see templates.js), locale and timeZone for times.
+// Every email has an HTML and a plain-text part.
+function createEmailNotifier(name, options) {
+    const smtp = options.smtp || {};
+    const templates = createTemplateRenderer('email', options.templates);
+
+    // Render the .html and .txt versions of a template
+    function render(template, view, accounts) {
+        return {
+            html: templates.render(`${template}.html`, view, accounts),
+            text: templates.render(`${template}.txt`, view, accounts)
+        };
+    }
+    const transporter = options.transporter || nodemailer.createTransport({
+        host: smtp.host,
+        port: smtp.port,
+        secure: !!smtp.secure,
+        auth: {
+            user: smtp.user,
+            pass: smtp.pass
+        }
+    });
+
+    // Work out the recipients for a delivery chosen by the routing rules
+    function recipientsFor(delivery) {
+        if (!delivery || delivery.useChannelDefault !== false) {
+            const defaults = [].concat(options.to || [])
+                .flatMap(value => String(value).split(','))
+                .map(address => address.trim())
+                .filter(Boolean);
+            return Array.from(new Set([...defaults, ...(delivery?.recipients || [])]));
+        }
+        return delivery.recipients;
+    }
+
+    async function send(mention, delivery) {
+        const details = describeMention(mention);
+        const recipients = recipientsFor(delivery);
+        if (recipients.length === 0) {
+            throw new Error(`No recipients for email channel ${name}`);
+        }
+
+        const info = await transporter.sendMail({
+            from: options.from,
+            to: recipients.join(', '),
+            subject: details.title,
+            ...render('mention', mentionView(details, options), [mention.mentionedUsername, mention.pageId])
+        });
+
+        logger.info('Notification sent', { channel: name, messageId: info.messageId });
+        return { id: info.messageId };
+    }
+
+    async function sendAlert(alert, delivery) {
+        const recipients = recipientsFor(delivery);
+        if (recipients.length === 0) {
+            throw new Error(`No recipients for email channel ${name}`);
+        }
+
+        const info = await transporter.sendMail({
+            from: options.from,
+            to: recipients.join(', '),
+            subject: `[${alert.severity === 'critical' ? 'Action required' : 'Warning'}] ${alert.title}`,
+            ...render('alert', alertView(alert))
+        });
+
+        logger.info('Alert sent', { channel: name, messageId: info.messageId });
+        return { id: info.messageId };
+    }
+
+    async function sendDigest(digest, delivery) {
+        const summary = describeDigest(digest, options);
+        const recipients = recipientsFor(delivery);
+        if (recipients.length === 0) {
+            throw new Error(`No recipients for email channel ${name}`);
+        }
+
+        const info = await transporter.sendMail({
+            from: options.from,
+            to: recipients.join(', '),
+            subject: summary.title,
+            ...render('digest', digestView(summary, options))
+        });
+
+        logger.info('Digest sent', { channel: name, messageId: info.messageId });
+        return { id: info.messageId };
+    }
+
+    // Check the connection to the SMTP server (and the login). Resolves to false when the
+    // transport has nothing to check (nodemailer's verify() returns false for non-SMTP transports).
+    async function verify() {
+        if (typeof transporter.verify !== 'function') {
+            return false;
+        }
+        return await transporter.verify() !== false;
+    }
+
+    return {
+        name,
+        type: 'email',
+        transporter,
+        verify,
+        describe: () => ({ host: smtp.host, port: smtp.port, from: options.from, to: options.to, templates: options.templates || null }),
+        send,
+        sendAlert,
+        sendDigest
+    };
+}
+
+module.exports = {
+    createEmailNotifier
+};
@@ -0,0 +1,174 @@
+// Shared helpers so every channel describes a mention the same way
+
+function capitalize(value) {
+    return value.charAt(0).toUpperCase() + value.slice(1);
+}
+
+// Explain test deliveries and mentions whose details could not be fetched
+function describeNotice(mention) {
+    if (mention.isTest) {
+        return 'This is a test notification (for example from the Meta App Dashboard), not a real mention.';
+    }
+    if (mention.degraded) {
+        const ids = Object.entries(mention.degraded.ids || {})
+            .map(([field, value]) => `${field}: ${value}`)
+            .join(', ');
+        return `The details of this mention could not be retrieved from the Graph API (${mention.degraded.error}). Raw IDs: ${ids || 'none'}.`;
+    }
+    return '';
+}
+
+// Turn a normalized mention object into the labels and values channels render
+function describeMention(mention) {
+    const platform = capitalize(mention.platform || 'unknown');
+    const mentionType = mention.mentionType || 'post';
+    const mentionTypeLabel = capitalize(mentionType.replace(/_/g, ' '));
+    const account = mention.mentionedUsername || 'your account';
+
+    let label = '';
+    if (mention.isTest) {
+        label = '[Test] ';
+    } else if (mention.degraded) {
+        label = '[Details unavailable] ';
+    }
+    if (mention.priority === 'high') {
+        label = `[High priority] ${label}`;
+    }
+
+    return {
+        platform: platform,
+        mentionType: mentionType,
+        mentionTypeLabel: mentionTypeLabel,
+        account: account,
+        title: mentionType === 'message'
+            ? `${label}New ${platform} message for ${account}`
+            : `${label}New ${platform} ${mentionTypeLabel.toLowerCase()} mention for ${account}`,
+        heading: mentionType === 'message'
+            ? `${label}You received a message on ${platform}`
+            : `${label}You were mentioned on ${platform}`,
+        notice: describeNotice(mention),
+        time: new Date(mention.postCreatedTime || mention.timestamp || Date.now()),
+        author: mention.fromUser || 'Unknown',
+        text: mention.postMessage || 'No caption/text',
+        url: mention.postUrl || '',
+        mediaType: mention.mediaType && mention.mediaType !== 'none' ? mention.mediaType : '',
+        mediaUrl: mention.mediaUrl || '',
+        priority: capitalize(mention.priority || 'normal'),
+        sentiment: mention.sentiment ? `${capitalize(mention.sentiment.label)} (${mention.sentiment.score})` : '',
+        tags: (mention.tags || []).join(', ')
+    };
+}
+
+// Summarize a digest ({ windowStart, windowEnd, mentions }) grouped by account and platform,
+// largest group first. Each group lists its top authors and up to options.listLimit (10) mentions.
+// The heading shows the window in the channel's locale and time zone (options.locale, options.timeZone).
+function describeDigest(digest, options) {
+    const listLimit = options?.listLimit || 10;
+    const groups = new Map();
+    for (const mention of digest.mentions) {
+        const key = `${mention.platform}|${mention.account}`;
+        const group = groups.get(key) || {
+            platform: capitalize(mention.platform || 'unknown'),
+            account: mention.account || 'your account',
+            count: 0,
+            authors: new Map(),
+            mentions: []
+        };
+        group.count++;
+        if (mention.author) {
+            group.authors.set(mention.author, (group.authors.get(mention.author) || 0) + 1);
+        }
+        group.mentions.push(mention);
+        groups.set(key, group);
+    }
+
+    const total = digest.mentions.length;
+    const start = new Date(digest.windowStart);
+    const end = new Date(digest.windowEnd);
+
+    return {
+        title: `Mention digest: ${total} new mention${total === 1 ? '' : 's'}`,
+        heading: `${total} new mention${total === 1 ? '' : 's'} between ${formatDateTime(start, options)} and ${formatDateTime(end, options)}`,
+        total: total,
+        start: start,
+        end: end,
+        groups: Array.from(groups.values())
+            .sort((a, b) => b.count - a.count)
+            .map(group => {
+                const sorted = group.mentions.sort((a, b) => new Date(a.time) - new Date(b.time));
+                return {
+                    platform: group.platform,
+                    account: group.account,
+                    count: group.count,
+                    topAuthors: Array.from(group.authors.entries())
+                        .sort((a, b) => b[1] - a[1])
+                        .slice(0, 3)
+                        .map(([author, count]) => ({ author, count })),
+                    mentions: sorted.slice(0, listLimit).map(mention => ({
+                        ...mention,
+                        author: mention.author || 'Unknown',
+                        text: `${mention.priority === 'high' ? '[High priority] ' : ''}${mention.text || 'No caption/text'}`
+                    })),
+                    more: Math.max(sorted.length - listLimit, 0)
+                };
+            })
+    };
+}
+
+// "alice (3), bob (2)"
+function formatTopAuthors(topAuthors) {
+    return topAuthors.map(entry => `${entry.author} (${entry.count})`).join(', ') || 'Unknown';
+}
+
+// Format a time for people reading notifications, in the channel's locale and time zone
+// (options.locale, options.timeZone; defaults en-US and UTC), e.g. "Oct 19, 2026, 6:57 PM UTC"
+function formatDateTime(date, options) {
+    return new Intl.DateTimeFormat(options?.locale || 'en-US', {
+        year: 'numeric',
+        month: 'short',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: '2-digit',
+        timeZone: options?.timeZone || 'UTC',
+        timeZoneName: 'short'
+    }).format(new Date(date));
+}
+
+// Links in notifications are only rendered for http(s) URLs
+function safeUrl(value) {
+    return /^https?:\/\//i.test(String(value || '')) ? value : '';
+}
+
+// Discord and Teams render Markdown, so user content has its formatting characters escaped:
+// a comment cannot add links, headings, lists or emphasis to the message
+function escapeMarkdown(value) {
+    return String(value).replace(/[\\`*_~|<>#+\-[\]()!]/g, '\\$&');
+}
+
+// A Markdown link with escaped text, or just the text when the URL is not http(s).
+// Parentheses and whitespace in the URL are percent-encoded so they cannot end the link early.
+function markdownLink(text, url) {
+    const href = safeUrl(url);
+    if (!href) {
+        return escapeMarkdown(text);
+    }
+    const encoded = href.replace(/[()\s]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')}`);
+    return `[${escapeMarkdown(text)}](${encoded})`;
+}
+
+// Chat services limit message sizes, so long captions are cut down
+function truncate(text, maxLength) {
+    if (text.length <= maxLength) return text;
+    return text.slice(0, maxLength - 1) + '…';
+}
+
+module.exports = {
+    describeMention,
+    describeDigest,
+    formatTopAuthors,
+    formatDateTime,
+    safeUrl,
+    escapeMarkdown,
+    markdownLink,
+    truncate
+};
@@ -0,0 +1,157 @@
+const fs = require('fs');
+const metrics = require('../metrics');
+const logger = require('../logger').logger.child({ module: 'notifiers' });
+const { createEmailNotifier } = require('./email');
+const { createSlackNotifier } = require('./slack');
+const { createDiscordNotifier } = require('./discord');
+const { createTeamsNotifier } = require('./teams');
+const { createWebhookNotifier } = require('./webhook');
+
+// Every channel type maps to a factory taking (name, options) and returning
+// { name, type, describe, send(mention, delivery), sendAlert(alert, delivery), sendDigest(digest, delivery) }
+const channelFactories = {
+    email: createEmailNotifier,
+    slack: createSlackNotifier,
+    discord: createDiscordNotifier,
+    teams: createTeamsNotifier,
+    webhook: createWebhookNotifier
+};
+
+// Read the notification settings, either from the NOTIFICATIONS_CONFIG JSON file or from env vars.
+// Returns { channels, rules, defaultRule } where channels maps a channel name to { type, ...options }.
+// Routing rules can only be defined in a file.
+function loadNotificationConfig(env) {
+    if (env.NOTIFICATIONS_CONFIG) {
+        const config = JSON.parse(fs.readFileSync(env.NOTIFICATIONS_CONFIG, 'utf8'));
+        return {
+            channels: config.channels || {},
+            rules: config.rules || [],
+            defaultRule: config.defaultRule || null
+        };
+    }
+
+    const channels = {};
+    const urlVars = {
+        slack: env.SLACK_WEBHOOK_URL,
+        discord: env.DISCORD_WEBHOOK_URL,
+        teams: env.TEAMS_WEBHOOK_URL,
+        webhook: env.NOTIFY_WEBHOOK_URL
+    };
+
+    // Without NOTIFY_CHANNELS, use email plus every chat channel whose URL is set
+    const names = env.NOTIFY_CHANNELS
+        ? env.NOTIFY_CHANNELS.split(',').map(name => name.trim()).filter(Boolean)
+        : ['email', ...Object.keys(urlVars).filter(type => urlVars[type])];
+
+    for (const name of names) {
+        if (name === 'email') {
+            channels.email = { type: 'email' };
+        } else if (name in urlVars) {
+            channels[name] = { type: name, url: urlVars[name] };
+        } else {
+            throw new Error(`Unknown notification channel in NOTIFY_CHANNELS: ${name}`);
+        }
+    }
+
+    return { channels: channels, rules: [], defaultRule: null };
+}
+
+// Email channels fall back to the EMAIL_* settings for anything they leave out, and every
+// channel to NOTIFY_LOCALE and NOTIFY_TIME_ZONE for the times it shows
+function applyChannelDefaults(channels, env) {
+    for (const channel of Object.values(channels)) {
+        channel.locale = channel.locale || env.NOTIFY_LOCALE || undefined;
+        channel.timeZone = channel.timeZone || env.NOTIFY_TIME_ZONE || undefined;
+        if (channel.type === 'email') {
+            channel.templates = channel.templates || env.EMAIL_TEMPLATES_DIR || undefined;
+            channel.smtp = { ...smtpFromEnv(env), ...channel.smtp };
+            channel.from = channel.from || env.EMAIL_FROM;
+            channel.to = channel.to || env.EMAIL_TO;
+        }
+    }
+    return channels;
+}
+
+function smtpFromEnv(env) {
+    return {
+        host: env.EMAIL_HOST,
+        port: env.EMAIL_PORT,
+        user: env.EMAIL_USER,
+        pass: env.EMAIL_PASS
+    };
+}
+
+// Create a notifier for every configured channel. overrides.transport (a nodemailer transport)
+// replaces the SMTP connection of every email channel.
+function createNotifiers(channelConfig, overrides) {
+    const notifiers = new Map();
+
+    for (const [name, options] of Object.entries(channelConfig)) {
+        const factory = channelFactories[options.type];
+        if (!factory) {
+            throw new Error(`Unknown type "${options.type}" for notification channel ${name}`);
+        }
+        if (options.type !== 'email' && !options.url) {
+            throw new Error(`Notification channel ${name} (${options.type}) has no url`);
+        }
+        const channelOptions = overrides?.transport && options.type === 'email'
+            ? { ...options, transporter: overrides.transport }
+            : options;
+        notifiers.set(name, factory(name, channelOptions));
+    }
+
+    return notifiers;
+}
+
+// Results of deliveries for a digest rule name the rule, also when an urgent mention
+// was sent immediately, so a redelivered mention is not sent or collected twice
+function digestRule(delivery) {
+    return delivery.digest ? { digest: delivery.rules[0] } : {};
+}
+
+// Call send for each delivery ({ notifier, ...routing details }).
+// Returns one result per channel; a failing channel does not stop the others.
+// `kind` (mention, alert or digest) labels the notifications_* metrics.
+async function dispatch(kind, deliveries, send) {
+    return Promise.all(deliveries.map(async (delivery) => {
+        const { notifier } = delivery;
+        const labels = { channel: notifier.name, type: notifier.type, kind };
+        const endTimer = metrics.notificationDuration.startTimer(labels);
+        try {
+            const result = await send(notifier, delivery);
+            metrics.notifications.inc({ ...labels, status: 'sent' });
+            return { channel: notifier.name, type: notifier.type, ...digestRule(delivery), status: 'sent', id: result?.id };
+        } catch (error) {
+            logger.error('Error sending notification', { channel: notifier.name, kind, error });
+            metrics.notifications.inc({ ...labels, status: 'failed' });
+            return { channel: notifier.name, type: notifier.type, ...digestRule(delivery), status: 'failed', error: error.message };
+        } finally {
+            endTimer();
+        }
+    }));
+}
+
+// Send a mention notification for each delivery
+async function sendToChannels(deliveries, mention) {
+    return dispatch('mention', deliveries, (notifier, delivery) => notifier.send(mention, delivery));
+}
+
+// Send an operational alert ({ title, message, severity, fields }) for each delivery
+async function sendAlertToChannels(deliveries, alert) {
+    return dispatch('alert', deliveries, (notifier, delivery) => notifier.sendAlert(alert, delivery));
+}
+
+// Send a digest of collected mentions ({ windowStart, windowEnd, mentions }) for each delivery
+async function sendDigestToChannels(deliveries, digest) {
+    return dispatch('digest', deliveries, (notifier, delivery) => notifier.sendDigest(digest, delivery));
+}
+
+module.exports = {
+    channelTypes: Object.keys(channelFactories),
+    loadNotificationConfig,
+    applyChannelDefaults,
+    createNotifiers,
+    sendToChannels,
+    sendAlertToChannels,
+    sendDigestToChannels
+};
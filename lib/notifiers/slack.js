@@ -0,0 +1,108 @@
+const axios = require('axios');
+const { describeMention, describeDigest, formatTopAuthors, formatDateTime, safeUrl, truncate } = require('./format');
+const { createTemplateRenderer, markLast } = require('./templates');
+const logger = require('../logger').logger.child({ module: 'notifiers/slack' });
+
+// Slack reads "<...>" as links and mentions, so user content has these characters escaped
+function escapeMrkdwn(value) {
+    return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// A "<url|text>" link, or just the text when the URL is not http(s). "|" and ">" in the URL
+// are percent-encoded so they cannot end the link early.
+function mrkdwnLink(text, url) {
+    const href = safeUrl(url);
+    if (!href) {
+        return escapeMrkdwn(text);
+    }
+    return `<${escapeMrkdwn(href).replace(/\|/g, '%7C')}|${escapeMrkdwn(text)}>`;
+}
+
+// Template values for a mention. Mention content is escaped for mrkdwn and only http(s) URLs
+// get a button; the templates escape the values for JSON.
+function mentionView(details, options) {
+    return {
+        title: details.title,
+        heading: truncate(details.heading, 150),
+        notice: details.notice ? truncate(escapeMrkdwn(details.notice), 2900) : '',
+        account: escapeMrkdwn(details.account),
+        author: escapeMrkdwn(details.author),
+        mentionTypeLabel: details.mentionTypeLabel,
+        time: formatDateTime(details.time, options),
+        priority: details.priority,
+        tags: escapeMrkdwn(details.tags || 'None'),
+        sentiment: details.sentiment || 'Unknown',
+        text: truncate(escapeMrkdwn(details.text), 3000),
+        url: safeUrl(details.url)
+    };
+}
+
+function alertView(alert) {
+    const fields = (alert.fields || []).slice(0, 10).map(field => ({ label: field.label, value: String(field.value) }));
+    return {
+        title: alert.title,
+        heading: truncate(alert.title, 150),
+        icon: alert.severity === 'critical' ? ':rotating_light:' : ':warning:',
+        message: truncate(alert.message, 2900),
+        hasFields: fields.length > 0,
+        fields: markLast(fields)
+    };
+}
+
+// Slack allows 50 blocks per message, so only the largest groups are listed
+function digestView(summary, options) {
+    return {
+        title: summary.title,
+        heading: truncate(summary.title, 150),
+        window: `${formatDateTime(summary.start, options)} - ${formatDateTime(summary.end, options)}`,
+        groups: summary.groups.slice(0, 15).map(group => ({
+            platform: group.platform,
+            account: escapeMrkdwn(group.account),
+            count: group.count,
+            topAuthors: escapeMrkdwn(formatTopAuthors(group.topAuthors)),
+            mentions: group.mentions.map(mention => ({
+                author: escapeMrkdwn(mention.author),
+                link: mrkdwnLink(truncate(mention.text.replace(/\s+/g, ' '), 120), mention.url)
+            })),
+            more: group.more
+        }))
+    };
+}
+
+// Slack incoming webhook channel. Options: url, templates (directory overriding the built-in
+// Block Kit templates, see templates.js), locale, timeZone.
+function createSlackNotifier(name, options) {
+    const templates = createTemplateRenderer('slack', options.templates);
+
+    async function send(mention) {
+        const message = templates.renderJson('mention', mentionView(describeMention(mention), options), [mention.mentionedUsername, mention.pageId]);
+        await axios.post(options.url, message, { timeout: 10000 });
+        logger.info('Notification sent', { channel: name });
+        return {};
+    }
+
+    async function sendAlert(alert) {
+        await axios.post(options.url, templates.renderJson('alert', alertView(alert)), { timeout: 10000 });
+        logger.info('Alert sent', { channel: name });
+        return {};
+    }
+
+    async function sendDigest(digest) {
+        await axios.post(options.url, templates.renderJson('digest', digestView(describeDigest(digest, options), options)), { timeout: 10000 });
+        logger.info('Digest sent', { channel: name });
+        return {};
+    }
+
+    return {
+        name,
+        type: 'slack',
+        describe: () => ({ templates: options.templates || null }),
+        send,
+        sendAlert,
+        sendDigest
+    };
+}
+
+module.exports = {
+    createSlackNotifier
+};
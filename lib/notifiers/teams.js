@@ -0,0 +1,93 @@
+const axios = require('axios');
+const { describeMention, describeDigest, formatTopAuthors, formatDateTime, safeUrl, escapeMarkdown, markdownLink, truncate } = require('./format');
+const { createTemplateRenderer, markLast } = require('./templates');
+const logger = require('../logger').logger.child({ module: 'notifiers/teams' });
+
+// Template values for a mention. Text blocks and facts render Markdown, so mention content is
+// escaped, and only http(s) URLs get buttons; the templates escape the values for JSON.
+function mentionView(details, options) {
+    const actions = [
+        { label: 'View Original Post', url: safeUrl(details.url) },
+        { label: 'View Media', url: details.mediaType ? safeUrl(details.mediaUrl) : '' }
+    ];
+    return {
+        title: details.title,
+        heading: details.heading,
+        notice: details.notice ? escapeMarkdown(details.notice) : '',
+        account: escapeMarkdown(details.account),
+        author: escapeMarkdown(details.author),
+        mentionTypeLabel: details.mentionTypeLabel,
+        time: formatDateTime(details.time, options),
+        priority: details.priority,
+        tags: escapeMarkdown(details.tags || 'None'),
+        sentiment: details.sentiment || 'Unknown',
+        text: escapeMarkdown(details.text),
+        actions: markLast(actions.filter(action => action.url))
+    };
+}
+
+function alertView(alert) {
+    return {
+        title: alert.title,
+        color: alert.severity === 'critical' ? 'Attention' : 'Warning',
+        message: alert.message,
+        fields: markLast((alert.fields || []).map(field => ({ label: field.label, value: String(field.value) })))
+    };
+}
+
+// One section per account and platform
+function digestView(summary) {
+    return {
+        title: summary.title,
+        heading: summary.heading,
+        groups: summary.groups.map(group => ({
+            platform: group.platform,
+            account: escapeMarkdown(group.account),
+            count: group.count,
+            topAuthors: escapeMarkdown(formatTopAuthors(group.topAuthors)),
+            mentions: markLast(group.mentions.map(mention => ({
+                author: escapeMarkdown(mention.author),
+                link: markdownLink(truncate(mention.text.replace(/\s+/g, ' '), 120), mention.url)
+            }))),
+            more: group.more
+        }))
+    };
+}
+
+// Microsoft Teams incoming webhook channel. Options: url, templates (directory overriding the
+// built-in Adaptive Card templates, see templates.js), locale, timeZone.
+function createTeamsNotifier(name, options) {
+    const templates = createTemplateRenderer('teams', options.templates);
+
+    async function send(mention) {
+        const message = templates.renderJson('mention', mentionView(describeMention(mention), options), [mention.mentionedUsername, mention.pageId]);
+        await axios.post(options.url, message, { timeout: 10000 });
+        logger.info('Notification sent', { channel: name });
+        return {};
+    }
+
+    async function sendAlert(alert) {
+        await axios.post(options.url, templates.renderJson('alert', alertView(alert)), { timeout: 10000 });
+        logger.info('Alert sent', { channel: name });
+        return {};
+    }
+
+    async function sendDigest(digest) {
+        await axios.post(options.url, templates.renderJson('digest', digestView(describeDigest(digest, options))), { timeout: 10000 });
+        logger.info('Digest sent', { channel: name });
+        return {};
+    }
+
+    return {
+        name,
+        type: 'teams',
+        describe: () => ({ templates: options.templates || null }),
+        send,
+        sendAlert,
+        sendDigest
+    };
+}
+
+module.exports = {
+    createTeamsNotifier
+};
@@ -0,0 +1,91 @@
+const fs = require('fs');
+const path = require('path');
+const Mustache = require('mustache');
+
+// Built-in templates, used for anything a channel's template directory does not override
+const DEFAULT_TEMPLATE_DIR = path.join(__dirname, '..', '..', 'templates');
+
+// Plain-text templates are not HTML-escaped
+const TEXT_CONFIG = { escape: value => String(value) };
+
+// Values in JSON templates are escaped for use inside a JSON string
+const JSON_CONFIG = { escape: value => JSON.stringify(String(value)).slice(1, -1) };
+
+// Escaping by template extension; anything else (.html) is HTML-escaped
+function configFor(name) {
+    if (name.endsWith('.txt')) return TEXT_CONFIG;
+    if (name.endsWith('.json')) return JSON_CONFIG;
+    return undefined;
+}
+
+// Mark the last item of a list, so JSON templates can separate items with commas:
+// {{#items}}{ ... }{{^last}},{{/last}}{{/items}}
+function markLast(items) {
+    return items.map((item, index) => ({ ...item, last: index === items.length - 1 }));
+}
+
+// Render notification templates (Mustache) for a channel.
+//
+// A template "mention.html" for channel type "email" and account "brand_a" is looked up as:
+//   <dir>/brand_a/mention.html.mustache
+//   <dir>/mention.html.mustache
+//   templates/email/mention.html.mustache   (built in)
+// where <dir> is the channel's `templates` option. Account directories are named after the
+// Instagram username or the page ID. Values in .html templates are HTML-escaped ({{value}}),
+// values in .json templates (the Slack, Discord and Teams payloads) are JSON-escaped, and .txt
+// templates are rendered as they are.
+function createTemplateRenderer(type, dir) {
+    const sources = new Map();
+
+    function candidates(name, accounts) {
+        const files = [];
+        if (dir) {
+            for (const account of accounts) {
+                // Account names come from the configuration, but never leave the directory
+                if (/^[A-Za-z0-9._-]+$/.test(account) && !/^\.+$/.test(account)) {
+                    files.push(path.join(dir, account, `${name}.mustache`));
+                }
+            }
+            files.push(path.join(dir, `${name}.mustache`));
+        }
+        files.push(path.join(DEFAULT_TEMPLATE_DIR, type, `${name}.mustache`));
+        return files;
+    }
+
+    // Template files are read once per channel; reloading the configuration reads them again
+    function load(file) {
+        if (!sources.has(file)) {
+            sources.set(file, fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null);
+        }
+        return sources.get(file);
+    }
+
+    function render(name, view, accounts) {
+        const keys = (accounts || []).filter(Boolean).map(String);
+        const file = candidates(name, keys).find(candidate => load(candidate) !== null);
+        if (!file) {
+            throw new Error(`No template "${name}" for ${type} notifications`);
+        }
+        return Mustache.render(load(file), view, {}, configFor(name));
+    }
+
+    // Render "<name>.json" and parse it into the payload it describes
+    function renderJson(name, view, accounts) {
+        const text = render(`${name}.json`, view, accounts);
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Template "${name}.json" for ${type} notifications is not valid JSON: ${error.message}`);
+        }
+    }
+
+    return {
+        render,
+        renderJson
+    };
+}
+
+module.exports = {
+    createTemplateRenderer,
+    markLast
+};
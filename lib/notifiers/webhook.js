@@ -0,0 +1,73 @@
+const axios = require('axios');
+const { describeMention, describeDigest } = require('./format');
+const logger = require('../logger').logger.child({ module: 'notifiers/webhook' });
+
+// Generic JSON POST channel. Options: url, headers.
+// Mentions are posted as { event: 'mention', title, mention }, alerts as { event: 'alert', title, alert }
+// and digests as { event: 'digest', title, digest } with every collected mention.
+function createWebhookNotifier(name, options) {
+    async function send(mention) {
+        const details = describeMention(mention);
+
+        await axios.post(options.url, {
+            event: 'mention',
+            title: details.title,
+            mention: mention
+        }, {
+            headers: options.headers || {},
+            timeout: 10000
+        });
+
+        logger.info('Notification sent', { channel: name });
+        return {};
+    }
+
+    async function sendAlert(alert) {
+        await axios.post(options.url, {
+            event: 'alert',
+            title: alert.title,
+            alert: alert
+        }, {
+            headers: options.headers || {},
+            timeout: 10000
+        });
+
+        logger.info('Alert sent', { channel: name });
+        return {};
+    }
+
+    async function sendDigest(digest) {
+        const summary = describeDigest(digest);
+
+        await axios.post(options.url, {
+            event: 'digest',
+            title: summary.title,
+            digest: {
+                rule: digest.rule,
+                windowStart: digest.windowStart,
+                windowEnd: digest.windowEnd,
+                total: summary.total,
+                mentions: digest.mentions
+            }
+        }, {
+            headers: options.headers || {},
+            timeout: 10000
+        });
+
+        logger.info('Digest sent', { channel: name });
+        return {};
+    }
+
+    return {
+        name,
+        type: 'webhook',
+        describe: () => ({}),
+        send,
+        sendAlert,
+        sendDigest
+    };
+}
+
+module.exports = {
+    createWebhookNotifier
+};
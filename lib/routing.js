@@ -0,0 +1,138 @@
+// Routing rules decide which channels (and which email recipients) get each mention.
+//
+// A rule looks like:
+//   {
+//     "name": "brand-a-instagram",
+//     "match": { "account": ["brand_a", "1234567890"], "platform": "instagram", "mentionType": "comment",
+//                "tags": ["refund"], "priority": "high" },
+//     "channels": ["email", "brand-a-slack"],
+//     "recipients": ["brand-a@example.com"],
+//     "digest": { "window": "hourly", "urgentKeywords": ["refund"] }
+//   }
+//
+// Every match field is optional and accepts a single value or a list. All rules that match a
+// mention apply; the default rule is used only when none do. Rules with a digest get their own
+// deliveries, so their mentions are collected instead of being merged into immediate ones.
+
+const MATCH_FIELDS = ['account', 'platform', 'mentionType', 'tags', 'priority'];
+
+function toList(value) {
+    if (value === undefined || value === null) return [];
+    return (Array.isArray(value) ? value : [value]).map(item => String(item).toLowerCase());
+}
+
+// Values a mention can be matched on for each rule field
+function mentionValues(mention) {
+    return {
+        account: [mention.pageId, mention.mentionedUsername]
+            .filter(Boolean)
+            .map(value => String(value).toLowerCase()),
+        platform: [String(mention.platform || '').toLowerCase()],
+        mentionType: [String(mention.mentionType || 'post').toLowerCase()],
+        tags: (mention.tags || []).map(tag => String(tag).toLowerCase()),
+        priority: [String(mention.priority || 'normal').toLowerCase()]
+    };
+}
+
+function ruleMatches(rule, values) {
+    const match = rule.match || {};
+    return MATCH_FIELDS.every(field => {
+        const expected = toList(match[field]);
+        return expected.length === 0 || expected.some(value => values[field].includes(value));
+    });
+}
+
+// Whether a rule's match section (same fields as routing rules) matches a mention
+function matchesMention(rule, mention) {
+    return ruleMatches(rule, mentionValues(mention));
+}
+
+// Build a router for the given rules. channelNames lists every configured channel so that
+// references to unknown channels are reported at startup instead of when a mention arrives.
+function createRouter(rules, defaultRule, channelNames) {
+    rules = rules || [];
+    defaultRule = defaultRule || { name: 'default', channels: channelNames };
+
+    for (const [index, rule] of [...rules, defaultRule].entries()) {
+        const label = rule === defaultRule ? 'default rule' : `rule ${rule.name || index + 1}`;
+
+        for (const field of Object.keys(rule.match || {})) {
+            if (!MATCH_FIELDS.includes(field)) {
+                throw new Error(`Routing ${label} matches on unknown field "${field}" (expected one of ${MATCH_FIELDS.join(', ')})`);
+            }
+        }
+        for (const channel of rule.channels || channelNames) {
+            if (!channelNames.includes(channel)) {
+                throw new Error(`Routing ${label} refers to unknown notification channel "${channel}"`);
+            }
+        }
+    }
+
+    // Merge the matched rules into one delivery per channel, with the combined recipient list.
+    // Recipients only affect email channels; chat channels post to their configured URL.
+    // Digest settings are ignored for alerts, which always go out immediately.
+    function buildDeliveries(matched, useDigests) {
+        if (matched.length === 0) {
+            matched = [defaultRule];
+        }
+
+        const deliveries = new Map();
+        for (const rule of matched) {
+            const digest = useDigests && rule.digest ? rule.digest : null;
+            for (const channel of rule.channels || channelNames) {
+                const key = digest ? `${channel}:digest:${rule.name || 'unnamed'}` : channel;
+                const delivery = deliveries.get(key) || {
+                    channel,
+                    rules: [],
+                    recipients: [],
+                    useChannelDefault: false,
+                    digest: digest
+                };
+                delivery.rules.push(rule.name || 'unnamed');
+
+                // Rules without recipients keep the channel's own recipients (e.g. EMAIL_TO)
+                if (rule.recipients) {
+                    const recipients = Array.isArray(rule.recipients) ? rule.recipients : [rule.recipients];
+                    delivery.recipients = Array.from(new Set([...delivery.recipients, ...recipients]));
+                } else {
+                    delivery.useChannelDefault = true;
+                }
+
+                deliveries.set(key, delivery);
+            }
+        }
+
+        return Array.from(deliveries.values());
+    }
+
+    // Work out the deliveries for a mention
+    function route(mention) {
+        const values = mentionValues(mention);
+        return buildDeliveries(rules.filter(rule => ruleMatches(rule, values)), true);
+    }
+
+    // Work out the deliveries for an operational alert about an account (e.g. its page token).
+    // Only the account part of each rule is considered, so a brand's team gets its own alerts.
+    function routeAlert(accounts) {
+        const values = {
+            account: accounts.filter(Boolean).map(value => String(value).toLowerCase())
+        };
+        return buildDeliveries(rules.filter(rule => {
+            const expected = toList(rule.match?.account);
+            return expected.length > 0 && expected.some(value => values.account.includes(value));
+        }), false);
+    }
+
+    return {
+        route,
+        routeAlert,
+        rules: () => rules.slice(),
+        defaultRule: () => defaultRule
+    };
+}
+
+module.exports = {
+    MATCH_FIELDS,
+    createRouter,
+    matchesMention
+};
@@ -0,0 +1,91 @@
+const { createNotifiers } = require('./notifiers');
+const { createRouter } = require('./routing');
+const { createClassifier } = require('./classifier');
+const { createActionPlanner } = require('./actions');
+const { normalizeHashtag } = require('./mention-parser');
+const logger = require('./logger').logger.child({ module: 'runtime' });
+
+// Build the lookup tables for pages and Instagram accounts from the validated configuration
+function buildAccountMaps(pages) {
+    const facebookPages = {};
+    const instagramAccounts = {};
+    // Instagram Business Account ID => username, to resolve the owner of a webhook entry
+    const instagramAccountsById = {};
+    // Hashtag (lower case, without "#") => IDs of the pages monitoring it
+    const hashtagPages = {};
+
+    for (const page of pages) {
+        logger.info('Found page configuration', { pageId: page.id, pageName: page.name });
+
+        facebookPages[page.id] = {
+            name: page.name,
+            token: page.token
+        };
+
+        if (page.instagram) {
+            const username = page.instagram.username.toLowerCase();
+            logger.info('Linked Instagram account', { pageId: page.id, instagramAccount: page.instagram.username, instagramId: page.instagram.id || null });
+            instagramAccounts[username] = {
+                id: page.instagram.id,
+                pageId: page.id,
+                token: page.token,
+                name: page.name
+            };
+
+            if (page.instagram.id) {
+                instagramAccountsById[page.instagram.id] = username;
+            } else {
+                logger.warn('No Instagram account ID configured; mentions can only be attributed to this account when it is the only one', { instagramAccount: page.instagram.username });
+            }
+        }
+
+        for (const hashtag of (page.hashtags || []).map(normalizeHashtag)) {
+            hashtagPages[hashtag] = Array.from(new Set([...(hashtagPages[hashtag] || []), page.id]));
+        }
+        if (page.hashtags?.length) {
+            logger.info('Monitoring hashtags', { pageId: page.id, hashtags: page.hashtags });
+        }
+    }
+
+    return { facebookPages, instagramAccounts, instagramAccountsById, hashtagPages };
+}
+
+// Build everything derived from the configuration: account lookups, notification channels,
+// routing and comment actions. The result is treated as immutable and replaced as a whole on reload.
+// options.transport replaces the SMTP connection of the email channels (see createNotifiers).
+function buildRuntime(config, options) {
+    logger.info('Initializing page configurations');
+    const { facebookPages, instagramAccounts, instagramAccountsById, hashtagPages } = buildAccountMaps(config.pages);
+
+    const notifiers = createNotifiers(config.notifications.channels, { transport: options?.transport });
+    const router = createRouter(config.notifications.rules, config.notifications.defaultRule, Array.from(notifiers.keys()));
+    const classifier = createClassifier(config.classification);
+    const actions = createActionPlanner(config.actions);
+
+    logger.info('Configuration loaded', {
+        facebookPages: Object.keys(facebookPages).length,
+        instagramAccounts: Object.keys(instagramAccounts).length,
+        channels: Array.from(notifiers.keys()),
+        rules: config.notifications.rules.length,
+        tags: classifier.tagNames(),
+        actions: actions.rules(),
+        actionsDryRun: actions.dryRun
+    });
+
+    return Object.freeze({
+        config,
+        loadedAt: new Date().toISOString(),
+        facebookPages,
+        instagramAccounts,
+        instagramAccountsById,
+        hashtagPages,
+        notifiers,
+        router,
+        classifier,
+        actions
+    });
+}
+
+module.exports = {
+    buildRuntime
+};
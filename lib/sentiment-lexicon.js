@@ -0,0 +1,124 @@
+// Small offline sentiment lexicon (word => score from -5 to 5), in the spirit of AFINN.
+// It covers words common in brand mentions; classification.lexicon in the configuration
+// can add words or override these scores.
+module.exports = {
+    // Negative
+    abysmal: -4,
+    angry: -3,
+    annoyed: -2,
+    annoying: -2,
+    awful: -3,
+    bad: -3,
+    broke: -2,
+    broken: -3,
+    bug: -2,
+    buggy: -2,
+    cancel: -1,
+    cancelled: -1,
+    cheated: -3,
+    complain: -2,
+    complaint: -2,
+    crash: -2,
+    crashed: -2,
+    damaged: -3,
+    dangerous: -3,
+    defective: -3,
+    delay: -1,
+    delayed: -2,
+    disappointed: -2,
+    disappointing: -2,
+    disgusting: -4,
+    dislike: -2,
+    error: -2,
+    fail: -2,
+    failed: -2,
+    fake: -3,
+    fraud: -4,
+    frustrated: -2,
+    frustrating: -2,
+    garbage: -3,
+    hate: -3,
+    horrible: -3,
+    issue: -1,
+    lawsuit: -3,
+    liar: -3,
+    lied: -3,
+    lost: -2,
+    mad: -3,
+    missing: -2,
+    never: -1,
+    overpriced: -2,
+    poor: -2,
+    problem: -2,
+    refund: -2,
+    rude: -2,
+    sad: -2,
+    scam: -4,
+    slow: -2,
+    sucks: -3,
+    terrible: -3,
+    trash: -3,
+    ugly: -3,
+    unacceptable: -3,
+    unhappy: -2,
+    upset: -2,
+    useless: -2,
+    waste: -2,
+    worse: -3,
+    worst: -3,
+    wrong: -2,
+
+    // Positive
+    amazing: 4,
+    awesome: 4,
+    beautiful: 3,
+    best: 3,
+    brilliant: 4,
+    congrats: 2,
+    cool: 1,
+    delicious: 3,
+    easy: 1,
+    excellent: 3,
+    excited: 3,
+    fantastic: 4,
+    fast: 2,
+    favorite: 2,
+    favourite: 2,
+    fun: 3,
+    glad: 3,
+    good: 3,
+    gorgeous: 3,
+    great: 3,
+    happy: 3,
+    helpful: 2,
+    impressed: 3,
+    incredible: 3,
+    like: 2,
+    love: 3,
+    loved: 3,
+    lovely: 3,
+    nice: 3,
+    perfect: 3,
+    recommend: 2,
+    satisfied: 2,
+    super: 3,
+    thank: 2,
+    thanks: 2,
+    wonderful: 4,
+    wow: 4,
+
+    // Emoji
+    '😡': -4,
+    '😠': -3,
+    '🤬': -4,
+    '😢': -2,
+    '😭': -2,
+    '👎': -2,
+    '👍': 2,
+    '🙏': 1,
+    '😊': 2,
+    '😍': 3,
+    '🥰': 3,
+    '❤️': 3,
+    '🔥': 2
+};
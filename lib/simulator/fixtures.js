@@ -0,0 +1,298 @@
+const crypto = require('crypto');
+
+// Webhook payloads as Meta delivers them, for every field the server handles. The accounts
+// below are the monitored ones (see accountEnv) and FAN is the person mentioning them.
+//
+// Every fixture is a function of options:
+//   seq    number making the IDs of the delivery unique (default 1), so the same fixture can be
+//          sent again without being skipped as a redelivery
+//   text   the comment, post or message text
+//   test   send it as the App Dashboard's sample data does (entry ID 0)
+
+const PAGE = {
+    id: '101000000000001',
+    name: 'Acme Coffee',
+    token: 'acme-page-token'
+};
+
+const INSTAGRAM = {
+    id: '17841400000000001',
+    username: 'acmecoffee',
+    token: PAGE.token
+};
+
+const FAN = {
+    facebookId: '201000000000001',
+    name: 'Jamie Rivera',
+    instagramId: '17841400000000099',
+    username: 'jamie.rivera',
+    messagingId: '7000000000000001'
+};
+
+// IDs are built from a prefix and the fixture's seq
+function ref(prefix, seq) {
+    return `${prefix}${String(seq).padStart(4, '0')}`;
+}
+
+function unixTime() {
+    return Math.floor(Date.now() / 1000);
+}
+
+function delivery(object, entryId, options, entry) {
+    return {
+        object: object,
+        entry: [{ id: options.test ? '0' : entryId, time: unixTime(), ...entry }]
+    };
+}
+
+// Page fields
+
+function pageMention(options = {}) {
+    const seq = options.seq || 1;
+    return delivery('page', PAGE.id, options, {
+        changes: [{
+            field: 'mention',
+            value: {
+                post_id: `${FAN.facebookId}_${ref('30000000000', seq)}`,
+                sender_id: FAN.facebookId,
+                sender_name: FAN.name,
+                item: 'post',
+                verb: 'add'
+            }
+        }]
+    });
+}
+
+function pageCommentMention(options = {}) {
+    const seq = options.seq || 1;
+    const postId = `${FAN.facebookId}_${ref('30000000000', seq)}`;
+    return delivery('page', PAGE.id, options, {
+        changes: [{
+            field: 'mention',
+            value: {
+                post_id: postId,
+                comment_id: `${postId}_${ref('40000000000', seq)}`,
+                sender_id: FAN.facebookId,
+                sender_name: FAN.name,
+                item: 'comment',
+                verb: 'add'
+            }
+        }]
+    });
+}
+
+function pageFeedPost(options = {}) {
+    const seq = options.seq || 1;
+    return delivery('page', PAGE.id, options, {
+        changes: [{
+            field: 'feed',
+            value: {
+                from: { id: FAN.facebookId, name: FAN.name },
+                item: 'status',
+                post_id: `${PAGE.id}_${ref('50000000000', seq)}`,
+                verb: 'add',
+                published: 1,
+                created_time: unixTime(),
+                message: options.text || `Best flat white in town, ${PAGE.name}!`
+            }
+        }]
+    });
+}
+
+function pageFeedPhoto(options = {}) {
+    const seq = options.seq || 1;
+    const postId = `${PAGE.id}_${ref('51000000000', seq)}`;
+    return delivery('page', PAGE.id, options, {
+        changes: [{
+            field: 'feed',
+            value: {
+                from: { id: FAN.facebookId, name: FAN.name },
+                item: 'photo',
+                link: `https://scontent.xx.fbcdn.net/v/${ref('photo', seq)}.jpg`,
+                photo_id: ref('52000000000', seq),
+                post_id: postId,
+                verb: 'add',
+                published: 1,
+                created_time: unixTime(),
+                message: options.text || 'Latte art from this morning',
+                photo: `https://scontent.xx.fbcdn.net/v/${ref('photo', seq)}.jpg`
+            }
+        }]
+    });
+}
+
+function pageFeedComment(options = {}) {
+    const seq = options.seq || 1;
+    const postId = `${PAGE.id}_${ref('53000000000', seq)}`;
+    return delivery('page', PAGE.id, options, {
+        changes: [{
+            field: 'feed',
+            value: {
+                from: { id: FAN.facebookId, name: FAN.name },
+                post: { status_type: 'mobile_status_update', is_published: true, id: postId },
+                message: options.text || 'Are you open on Sundays?',
+                post_id: postId,
+                comment_id: `${ref('53000000000', seq)}_${ref('54000000000', seq)}`,
+                created_time: unixTime(),
+                item: 'comment',
+                parent_id: postId,
+                verb: 'add'
+            }
+        }]
+    });
+}
+
+function pageMessage(options = {}) {
+    const seq = options.seq || 1;
+    return delivery('page', PAGE.id, options, {
+        messaging: [{
+            sender: { id: FAN.messagingId },
+            recipient: { id: PAGE.id },
+            timestamp: Date.now(),
+            message: {
+                mid: ref('m_page-message-', seq),
+                text: options.text || 'Hi! Do you take table reservations?'
+            }
+        }]
+    });
+}
+
+// Instagram fields
+
+function instagramCaptionMention(options = {}) {
+    const seq = options.seq || 1;
+    return delivery('instagram', INSTAGRAM.id, options, {
+        changes: [{
+            field: 'mentions',
+            value: { media_id: ref('1790000000000', seq) }
+        }]
+    });
+}
+
+function instagramCommentMention(options = {}) {
+    const seq = options.seq || 1;
+    return delivery('instagram', INSTAGRAM.id, options, {
+        changes: [{
+            field: 'mentions',
+            value: {
+                media_id: ref('1790000000000', seq),
+                comment_id: ref('1791000000000', seq)
+            }
+        }]
+    });
+}
+
+function instagramComment(options = {}) {
+    const seq = options.seq || 1;
+    return delivery('instagram', INSTAGRAM.id, options, {
+        changes: [{
+            field: 'comments',
+            value: {
+                from: { id: FAN.instagramId, username: FAN.username },
+                media: { id: ref('1792000000000', seq), media_product_type: 'FEED' },
+                id: ref('1793000000000', seq),
+                text: options.text || `Can't wait to visit @${INSTAGRAM.username}`
+            }
+        }]
+    });
+}
+
+function instagramLiveComment(options = {}) {
+    const seq = options.seq || 1;
+    return delivery('instagram', INSTAGRAM.id, options, {
+        changes: [{
+            field: 'live_comments',
+            value: {
+                from: { id: FAN.instagramId, username: FAN.username },
+                media: { id: ref('1794000000000', seq), media_product_type: 'LIVE' },
+                id: ref('1795000000000', seq),
+                text: options.text || 'Hello from Lisbon!'
+            }
+        }]
+    });
+}
+
+function instagramMessage(options = {}) {
+    const seq = options.seq || 1;
+    return delivery('instagram', INSTAGRAM.id, options, {
+        messaging: [{
+            sender: { id: FAN.messagingId },
+            recipient: { id: INSTAGRAM.id },
+            timestamp: Date.now(),
+            message: {
+                mid: ref('aWdfZAG1faXRlbTo', seq),
+                text: options.text || 'Is the oat milk vegan?'
+            }
+        }]
+    });
+}
+
+// Every fixture by name, with what it represents
+const FIXTURES = {
+    'page-mention': { build: pageMention, description: 'Page tagged in a post (mention field)' },
+    'page-comment-mention': { build: pageCommentMention, description: 'Page tagged in a comment (mention field)' },
+    'page-feed-post': { build: pageFeedPost, description: 'Visitor post on the page (feed field)' },
+    'page-feed-photo': { build: pageFeedPhoto, description: 'Visitor photo post on the page (feed field)' },
+    'page-feed-comment': { build: pageFeedComment, description: 'Comment on a page post (feed field)' },
+    'page-message': { build: pageMessage, description: 'Direct message to the page (messages field)' },
+    'instagram-caption-mention': { build: instagramCaptionMention, description: 'Account @mentioned in a media caption (mentions field)' },
+    'instagram-comment-mention': { build: instagramCommentMention, description: 'Account @mentioned in a comment (mentions field)' },
+    'instagram-comment': { build: instagramComment, description: 'Comment on the account\'s media mentioning it (comments field)' },
+    'instagram-live-comment': { build: instagramLiveComment, description: 'Comment on a live broadcast (live_comments field)' },
+    'instagram-message': { build: instagramMessage, description: 'Direct message to the account (messages field)' }
+};
+
+function build(name, options) {
+    const fixture = FIXTURES[name];
+    if (!fixture) {
+        throw new Error(`Unknown fixture "${name}" (expected one of ${Object.keys(FIXTURES).join(', ')})`);
+    }
+    return fixture.build(options);
+}
+
+// Serialize a delivery and sign it the way Meta does (X-Hub-Signature-256 over the raw body)
+function sign(body, appSecret) {
+    const raw = typeof body === 'string' ? body : JSON.stringify(body);
+    const signature = 'sha256=' + crypto.createHmac('sha256', appSecret).update(raw).digest('hex');
+    return {
+        body: raw,
+        headers: {
+            'Content-Type': 'application/json',
+            'X-Hub-Signature-256': signature
+        }
+    };
+}
+
+// The environment variables configuring the fixture accounts
+function accountEnv() {
+    return {
+        PAGE_ID_1: PAGE.id,
+        PAGE_NAME_1: PAGE.name,
+        PAGE_TOKEN_1: PAGE.token,
+        PAGE_IG_USERNAME_1: INSTAGRAM.username,
+        PAGE_IG_ID_1: INSTAGRAM.id
+    };
+}
+
+// The same accounts as the pages section of a CONFIG_FILE
+function accountConfig() {
+    return {
+        pages: [{
+            id: PAGE.id,
+            name: PAGE.name,
+            token: PAGE.token,
+            instagram: { username: INSTAGRAM.username, id: INSTAGRAM.id }
+        }]
+    };
+}
+
+module.exports = {
+    PAGE,
+    INSTAGRAM,
+    FAN,
+    FIXTURES,
+    build,
+    sign,
+    accountEnv,
+    accountConfig
+};
@@ -0,0 +1,154 @@
+const http = require('http');
+const { PAGE, INSTAGRAM, FAN } = require('./fixtures');
+
+// The current time as the Graph API formats it ("2024-05-01T12:00:00+0000")
+function graphTime() {
+    return new Date().toISOString().replace(/\.\d+Z$/, '+0000');
+}
+
+// Stand-in for the Graph API, answering the lookups the server makes for the fixtures with
+// plausible objects: posts, media, mentioned_media and mentioned_comment, profiles, the tagged
+// and tags edges (empty) and comment actions. Point GRAPH_API_BASE_URL at its url.
+//
+// respond(path, body, options) overrides the answer for a path (without the API version), e.g.
+// to make a lookup fail: respond('123_456', { error: { message: 'Unknown error', code: 1 } }, { status: 500 }).
+// Options: method (GET), status (200) and times (how many requests it answers, default all).
+// Every request is recorded in requests as { method, path, query } and passed to options.onRequest.
+function createGraphServer(options = {}) {
+    const requests = [];
+    let overrides = [];
+    let server = null;
+
+    function respond(path, body, responseOptions = {}) {
+        // The latest override of a path is used first
+        overrides.unshift({
+            method: (responseOptions.method || 'GET').toUpperCase(),
+            path: String(path).replace(/^\/+/, ''),
+            status: responseOptions.status || 200,
+            body: body,
+            times: responseOptions.times || Infinity
+        });
+    }
+
+    function media(id) {
+        return {
+            id: id,
+            caption: `Morning coffee at @${INSTAGRAM.username}`,
+            permalink: `https://www.instagram.com/p/${id}/`,
+            timestamp: graphTime(),
+            username: FAN.username,
+            media_type: 'IMAGE',
+            media_url: `https://scontent.cdninstagram.com/v/${id}.jpg`
+        };
+    }
+
+    // The default answer to a GET, from the object ID and the fields asked for
+    function lookup(path, fields) {
+        const [id, edge] = path.split('/');
+        if (edge === 'tagged' || edge === 'tags') {
+            return { data: [] };
+        }
+
+        const mentionedMedia = fields.match(/mentioned_media\.media_id\(([^)]+)\)/);
+        if (mentionedMedia) {
+            return { id, mentioned_media: media(mentionedMedia[1]) };
+        }
+        const mentionedComment = fields.match(/mentioned_comment\.comment_id\(([^)]+)\)/);
+        if (mentionedComment) {
+            return {
+                id,
+                mentioned_comment: {
+                    id: mentionedComment[1],
+                    text: `@${INSTAGRAM.username} the best cortado in town`,
+                    timestamp: graphTime(),
+                    media: media(`${mentionedComment[1]}0`)
+                }
+            };
+        }
+        if (fields.includes('permalink_url')) {
+            return {
+                id,
+                message: `Coffee with friends at ${PAGE.name}`,
+                permalink_url: `https://www.facebook.com/${id}`,
+                created_time: graphTime(),
+                from: { id: FAN.facebookId, name: FAN.name, picture: { data: { url: `https://graph.facebook.com/${FAN.facebookId}/picture` } } },
+                attachments: { data: [{ type: 'photo', url: `https://www.facebook.com/photo/${id}` }] }
+            };
+        }
+        if (fields.includes('message')) {
+            return {
+                id,
+                message: `${PAGE.name} makes the best flat white`,
+                created_time: graphTime(),
+                from: { id: FAN.facebookId, name: FAN.name }
+            };
+        }
+        if (fields.includes('caption')) {
+            return media(id);
+        }
+        if (fields.includes('name')) {
+            return fields.includes('username') ? { id, name: FAN.name, username: FAN.username } : { id, name: FAN.name };
+        }
+        return { id };
+    }
+
+    function handle(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+        // Strip the API version ("/v19.0/123" is path "123")
+        const path = url.pathname.replace(/^\/+(v\d+\.\d+\/)?/, '');
+        const query = Object.fromEntries(url.searchParams);
+        requests.push({ method: req.method, path, query });
+
+        let status = 200;
+        let body;
+        const override = overrides.find(item => item.method === req.method && item.path === path && item.times > 0);
+        if (override) {
+            override.times--;
+            status = override.status;
+            body = override.body;
+        } else if (req.method === 'GET') {
+            body = lookup(path, query.fields || '');
+        } else if (/\/(comments|replies|mentions)$/.test(path)) {
+            body = { id: `${path.split('/')[0]}_reply${requests.length}` };
+        } else {
+            body = { success: true };
+        }
+
+        if (options.onRequest) {
+            options.onRequest({ method: req.method, path, query, status });
+        }
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+    }
+
+    // Listen on port (default: any free port); resolves to the base URL
+    function start(port) {
+        server = http.createServer(handle);
+        return new Promise((resolve, reject) => {
+            server.once('error', reject);
+            server.listen(port || 0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+        });
+    }
+
+    function stop() {
+        return new Promise(resolve => (server ? server.close(() => resolve()) : resolve()));
+    }
+
+    // Forget the recorded requests and overrides
+    function reset() {
+        requests.length = 0;
+        overrides = [];
+    }
+
+    return {
+        requests,
+        respond,
+        reset,
+        start,
+        stop
+    };
+}
+
+module.exports = {
+    createGraphServer
+};
@@ -0,0 +1,189 @@
+const net = require('net');
+
+// SMTP server that accepts every email and keeps it, for checking notifications without a real
+// mail server. Point EMAIL_HOST and EMAIL_PORT at it. Received emails are in messages as
+// { from, to, subject, text, html, envelope, raw } and are passed to options.onMessage.
+
+// Split a message or MIME part into its (unfolded, lower-cased) headers and body
+function splitMessage(raw) {
+    const end = raw.indexOf('\r\n\r\n');
+    const head = end === -1 ? raw : raw.slice(0, end);
+    const body = end === -1 ? '' : raw.slice(end + 4);
+
+    const headers = {};
+    for (const line of head.replace(/\r\n[ \t]+/g, ' ').split('\r\n')) {
+        const colon = line.indexOf(':');
+        if (colon > 0) {
+            headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+        }
+    }
+    return { headers, body };
+}
+
+// Decode RFC 2047 encoded words (=?UTF-8?Q?...?= and =?UTF-8?B?...?=) in a header
+function decodeWords(value) {
+    return value.replace(/=\?([^?]+)\?([QB])\?([^?]*)\?=\s*/gi, (match, charset, encoding, text) => {
+        if (encoding.toUpperCase() === 'B') {
+            return Buffer.from(text, 'base64').toString('utf8');
+        }
+        return decodeQuotedPrintable(text.replace(/_/g, ' '));
+    });
+}
+
+function decodeQuotedPrintable(text) {
+    const bytes = text
+        .replace(/=\r\n/g, '')
+        .replace(/%/g, '%25')
+        .replace(/=([0-9A-F]{2})/gi, (match, hex) => `%${hex}`);
+    try {
+        return decodeURIComponent(bytes);
+    } catch (error) {
+        return text;
+    }
+}
+
+function decodeBody(headers, body) {
+    const encoding = (headers['content-transfer-encoding'] || '').toLowerCase();
+    if (encoding === 'base64') {
+        return Buffer.from(body.replace(/\s+/g, ''), 'base64').toString('utf8');
+    }
+    if (encoding === 'quoted-printable') {
+        return decodeQuotedPrintable(body);
+    }
+    return body;
+}
+
+// Collect the text and HTML parts of a (possibly multipart) body into message
+function collectParts(headers, body, message) {
+    const type = headers['content-type'] || 'text/plain';
+    const boundary = type.match(/boundary="?([^";]+)"?/i);
+
+    if (/^multipart\//i.test(type) && boundary) {
+        for (const part of body.split(`--${boundary[1]}`).slice(1)) {
+            if (part.startsWith('--')) break;
+            const section = splitMessage(part.replace(/^\r\n/, ''));
+            collectParts(section.headers, section.body, message);
+        }
+    } else if (/^text\/html/i.test(type)) {
+        message.html = decodeBody(headers, body);
+    } else if (/^text\/plain/i.test(type)) {
+        message.text = decodeBody(headers, body);
+    }
+}
+
+function parseMessage(raw, envelope) {
+    const { headers, body } = splitMessage(raw);
+    const message = {
+        from: decodeWords(headers.from || ''),
+        to: decodeWords(headers.to || ''),
+        subject: decodeWords(headers.subject || ''),
+        text: '',
+        html: '',
+        envelope: envelope,
+        raw: raw
+    };
+    collectParts(headers, body, message);
+    return message;
+}
+
+function createSmtpSink(options = {}) {
+    const messages = [];
+    const sockets = new Set();
+    let server = null;
+
+    function handleConnection(socket) {
+        sockets.add(socket);
+        socket.on('close', () => sockets.delete(socket));
+        socket.on('error', () => {});
+
+        let buffer = '';
+        let data = null;
+        let envelope = { from: null, to: [] };
+        socket.write('220 smtp-sink ESMTP\r\n');
+
+        socket.on('data', chunk => {
+            buffer += chunk.toString('utf8');
+            let end;
+            while ((end = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.slice(0, end);
+                buffer = buffer.slice(end + 2);
+
+                if (data) {
+                    if (line === '.') {
+                        const message = parseMessage(data.join('\r\n'), envelope);
+                        messages.push(message);
+                        if (options.onMessage) options.onMessage(message);
+                        data = null;
+                        envelope = { from: null, to: [] };
+                        socket.write('250 OK: queued\r\n');
+                    } else {
+                        // Undo dot-stuffing
+                        data.push(line.startsWith('..') ? line.slice(1) : line);
+                    }
+                    continue;
+                }
+
+                const command = line.slice(0, 4).toUpperCase();
+                if (command === 'EHLO' || command === 'HELO') {
+                    socket.write('250 smtp-sink\r\n');
+                } else if (command === 'MAIL') {
+                    envelope.from = (line.match(/<([^>]*)>/) || [])[1] || null;
+                    socket.write('250 OK\r\n');
+                } else if (command === 'RCPT') {
+                    envelope.to.push((line.match(/<([^>]*)>/) || [])[1]);
+                    socket.write('250 OK\r\n');
+                } else if (command === 'DATA') {
+                    data = [];
+                    socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+                } else if (command === 'QUIT') {
+                    socket.end('221 Bye\r\n');
+                } else {
+                    socket.write('250 OK\r\n');
+                }
+            }
+        });
+    }
+
+    // Listen on port (default: any free port); resolves to the port
+    function start(port) {
+        server = net.createServer(handleConnection);
+        return new Promise((resolve, reject) => {
+            server.once('error', reject);
+            server.listen(port || 0, '127.0.0.1', () => resolve(server.address().port));
+        });
+    }
+
+    function stop() {
+        for (const socket of sockets) {
+            socket.destroy();
+        }
+        return new Promise(resolve => (server ? server.close(() => resolve()) : resolve()));
+    }
+
+    // Resolve to the messages once at least count have arrived, or reject after timeoutMs
+    function waitForMessages(count, timeoutMs = 5000) {
+        const deadline = Date.now() + timeoutMs;
+        return new Promise((resolve, reject) => {
+            const check = () => {
+                if (messages.length >= count) return resolve(messages.slice());
+                if (Date.now() > deadline) {
+                    return reject(new Error(`Expected ${count} emails, received ${messages.length}`));
+                }
+                setTimeout(check, 20);
+            };
+            check();
+        });
+    }
+
+    return {
+        messages,
+        waitForMessages,
+        clear: () => { messages.length = 0; },
+        start,
+        stop
+    };
+}
+
+module.exports = {
+    createSmtpSink
+};
@@ -0,0 +1,205 @@
+const crypto = require('crypto');
+const logger = require('./logger').logger.child({ module: 'token-health' });
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Short, non-reversible fingerprint so a rotated token is recognised without storing it
+function fingerprint(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex').slice(0, 12);
+}
+
+// Meta reports expiry times as unix seconds, with 0 meaning "never"
+function toIsoTime(seconds) {
+    return seconds ? new Date(seconds * 1000).toISOString() : null;
+}
+
+// Scheduled health check of every configured page access token using Graph's debug_token.
+//
+// Options:
+//   getPages()         current list of { id, name, token } (read on every run, so reloads apply)
+//   graph              Graph API client (see graph-client.js)
+//   appId, appSecret   used to build the app access token debug_token requires
+//   warningDays        alert this many days before a token expires
+//   intervalMs         how often to check
+//   onAlert(page, alert) called when a token becomes invalid or starts expiring
+function createTokenHealthMonitor(options) {
+    const {
+        getPages,
+        graph,
+        appId,
+        appSecret,
+        warningDays = 7,
+        intervalMs = 12 * 60 * 60 * 1000,
+        onAlert
+    } = options;
+
+    const results = new Map();
+    // Last alerted state per page, so an unchanged problem is not alerted on every run
+    const alerted = new Map();
+    let timer = null;
+    let firstCheck = null;
+    let running = null;
+
+    // Run debug_token for a single page token and classify the result
+    async function checkPage(page) {
+        const result = {
+            pageId: page.id,
+            pageName: page.name,
+            tokenFingerprint: fingerprint(page.token),
+            checkedAt: new Date().toISOString()
+        };
+
+        try {
+            const response = await graph.get('debug_token', {
+                input_token: page.token,
+                access_token: `${appId}|${appSecret}`
+            });
+            const data = response.data || {};
+
+            result.isValid = !!data.is_valid;
+            result.type = data.type;
+            result.scopes = data.scopes || [];
+            result.expiresAt = toIsoTime(data.expires_at);
+            result.dataAccessExpiresAt = toIsoTime(data.data_access_expires_at);
+
+            // The token stops being usable at whichever of the two comes first
+            const expiries = [data.expires_at, data.data_access_expires_at].filter(Boolean);
+            const effectiveExpiry = expiries.length ? Math.min(...expiries) * 1000 : null;
+            result.daysUntilExpiry = effectiveExpiry ? Math.ceil((effectiveExpiry - Date.now()) / DAY_MS) : null;
+
+            if (!result.isValid) {
+                result.status = 'invalid';
+                result.error = data.error?.message || 'Token is not valid';
+            } else if (effectiveExpiry && effectiveExpiry - Date.now() <= warningDays * DAY_MS) {
+                result.status = 'expiring';
+            } else {
+                result.status = 'ok';
+            }
+        } catch (error) {
+            // The check itself failed (network, app credentials); nothing is known about the token
+            result.status = 'error';
+            result.error = error.message;
+        }
+
+        return result;
+    }
+
+    function buildAlert(result) {
+        const fields = [
+            { label: 'Page', value: `${result.pageName} (${result.pageId})` },
+            { label: 'Expires', value: result.expiresAt || 'Never' },
+            { label: 'Data access expires', value: result.dataAccessExpiresAt || 'Never' },
+            { label: 'Scopes', value: (result.scopes || []).join(', ') || 'None' }
+        ];
+
+        if (result.status === 'invalid') {
+            return {
+                severity: 'critical',
+                title: `Page access token for ${result.pageName} is invalid`,
+                message: `Mentions for this page cannot be enriched until the token is replaced. Meta reported: ${result.error}`,
+                fields
+            };
+        }
+
+        return {
+            severity: 'warning',
+            title: `Page access token for ${result.pageName} expires in ${Math.max(result.daysUntilExpiry, 0)} day(s)`,
+            message: 'Generate a new page access token and update the configuration before it expires.',
+            fields
+        };
+    }
+
+    async function maybeAlert(page, result) {
+        const key = `${result.status}:${result.tokenFingerprint}`;
+        const needsAlert = result.status === 'invalid' || result.status === 'expiring';
+
+        if (!needsAlert) {
+            if (result.status === 'ok') alerted.delete(page.id);
+            return;
+        }
+        if (alerted.get(page.id) === key) return;
+
+        try {
+            await onAlert(page, buildAlert(result));
+            alerted.set(page.id, key);
+        } catch (error) {
+            logger.error('Error sending token alert', { pageId: page.id, error });
+        }
+    }
+
+    // Check every configured token; concurrent callers share the same run
+    function checkAll() {
+        if (running) return running;
+
+        running = (async () => {
+            const pages = getPages();
+            logger.info('Checking page access tokens', { pages: pages.length });
+
+            for (const page of pages) {
+                const result = await checkPage(page);
+                results.set(page.id, result);
+                logger.info('Token checked', { pageId: page.id, status: result.status, error: result.error || undefined });
+                await maybeAlert(page, result);
+            }
+
+            // Forget pages that were removed from the configuration
+            const pageIds = pages.map(page => page.id);
+            for (const pageId of results.keys()) {
+                if (!pageIds.includes(pageId)) results.delete(pageId);
+            }
+
+            return Array.from(results.values());
+        })();
+
+        return running.finally(() => {
+            running = null;
+        });
+    }
+
+    // Check one page on demand
+    async function checkOne(pageId) {
+        const page = getPages().find(p => p.id === pageId);
+        if (!page) return null;
+
+        const result = await checkPage(page);
+        results.set(page.id, result);
+        await maybeAlert(page, result);
+        return result;
+    }
+
+    function start() {
+        if (timer) return;
+        timer = setInterval(() => {
+            checkAll().catch(error => logger.error('Error checking page tokens', { error }));
+        }, intervalMs);
+        timer.unref();
+
+        // First check shortly after startup
+        firstCheck = setTimeout(() => {
+            checkAll().catch(error => logger.error('Error checking page tokens', { error }));
+        }, 5000);
+        firstCheck.unref();
+    }
+
+    // Stop scheduling checks; resolves once a check in progress has finished
+    async function stop() {
+        clearInterval(timer);
+        clearTimeout(firstCheck);
+        timer = null;
+        firstCheck = null;
+        await (running || Promise.resolve()).catch(() => {});
+    }
+
+    return {
+        start,
+        stop,
+        checkAll,
+        checkOne,
+        getResult: (pageId) => results.get(pageId) || null,
+        getResults: () => Array.from(results.values())
+    };
+}
+
+module.exports = {
+    createTokenHealthMonitor
+};
@@ -0,0 +1,84 @@
+const metrics = require('./metrics');
+
+// Lookup result => the count in stats() it adds to
+const STAT_NAMES = { hit: 'hits', miss: 'misses', coalesced: 'coalesced' };
+
+// In-memory cache whose entries expire after ttlMs.
+// get(key, load) returns the cached value, or calls load() once and caches what it resolves to.
+// Concurrent gets for a key that is being loaded share the same load, so a burst of comments on
+// one post makes a single request. Failed loads are not cached. When the cache holds maxEntries,
+// the oldest entries are dropped first. Lookups are counted in graph_cache_lookups_total under `name`.
+function createTtlCache(options) {
+    const {
+        name = 'cache',
+        ttlMs = 5 * 60 * 1000,
+        maxEntries = 1000
+    } = options || {};
+
+    const entries = new Map();
+    const loading = new Map();
+    const counts = { hits: 0, misses: 0, coalesced: 0, evictions: 0 };
+
+    function count(result) {
+        counts[STAT_NAMES[result]]++;
+        metrics.cacheLookups.inc({ cache: name, result });
+    }
+
+    function set(key, value) {
+        entries.delete(key);
+        entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+
+        while (entries.size > maxEntries) {
+            entries.delete(entries.keys().next().value);
+            counts.evictions++;
+        }
+    }
+
+    async function get(key, load) {
+        const entry = entries.get(key);
+        if (entry && entry.expiresAt > Date.now()) {
+            count('hit');
+            return entry.value;
+        }
+        if (entry) {
+            entries.delete(key);
+        }
+
+        if (loading.has(key)) {
+            count('coalesced');
+            return loading.get(key);
+        }
+
+        count('miss');
+        const promise = (async () => {
+            try {
+                const value = await load();
+                set(key, value);
+                return value;
+            } finally {
+                loading.delete(key);
+            }
+        })();
+        loading.set(key, promise);
+        return promise;
+    }
+
+    function stats() {
+        return {
+            entries: entries.size,
+            ttlMs,
+            ...counts
+        };
+    }
+
+    return {
+        get,
+        delete: (key) => entries.delete(key),
+        clear: () => entries.clear(),
+        stats
+    };
+}
+
+module.exports = {
+    createTtlCache
+};
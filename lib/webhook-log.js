@@ -0,0 +1,118 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('./logger').logger.child({ module: 'webhook-log' });
+
+// Append-only JSON-lines log of the webhook deliveries received, so they can be replayed through
+// the same processing (POST /admin/replay) after a failure. Entries older than retentionDays are
+// dropped when the log is started and then once an hour; a retention of 0 turns the log off.
+function createWebhookLog(options) {
+    const {
+        filePath,
+        retentionDays = 14,
+        pruneIntervalMs = 60 * 60 * 1000
+    } = options;
+
+    const enabled = retentionDays > 0;
+    let writeQueue = Promise.resolve();
+    let timer = null;
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+    // Serialize writes so appends and pruning cannot interleave
+    function write(operation) {
+        writeQueue = writeQueue
+            .catch(() => {})
+            .then(operation);
+        return writeQueue;
+    }
+
+    function readEntries() {
+        if (!fs.existsSync(filePath)) return [];
+
+        const entries = [];
+        for (const line of fs.readFileSync(filePath, 'utf8').split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                entries.push(JSON.parse(line));
+            } catch (error) {
+                logger.warn('Skipping unreadable line in webhook log', { file: filePath, error });
+            }
+        }
+        return entries;
+    }
+
+    // Record a verified delivery; resolves to the stored entry
+    async function append(body, correlationId) {
+        if (!enabled) return null;
+
+        const entry = {
+            id: crypto.randomUUID(),
+            receivedAt: new Date().toISOString(),
+            correlationId: correlationId,
+            body: body
+        };
+        const line = JSON.stringify(entry) + '\n';
+        await write(() => fs.promises.appendFile(filePath, line));
+        return entry;
+    }
+
+    // Deliveries received between since and until (Dates), or with one of the given ids, oldest first
+    async function read(filters) {
+        const { since, until, ids } = filters || {};
+        await writeQueue.catch(() => {});
+
+        return readEntries().filter(entry => {
+            if (ids) return ids.includes(entry.id);
+            const receivedAt = new Date(entry.receivedAt);
+            return (!since || receivedAt >= since) && (!until || receivedAt <= until);
+        });
+    }
+
+    // Rewrite the log without the entries that are past the retention period
+    function prune() {
+        return write(async () => {
+            const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+            const entries = readEntries();
+            const kept = entries.filter(entry => new Date(entry.receivedAt).getTime() >= cutoff);
+            if (kept.length === entries.length) return;
+
+            const tempPath = `${filePath}.tmp`;
+            await fs.promises.writeFile(tempPath, kept.map(entry => JSON.stringify(entry) + '\n').join(''));
+            await fs.promises.rename(tempPath, filePath);
+            logger.info('Pruned webhook log', { file: filePath, removed: entries.length - kept.length, kept: kept.length });
+        });
+    }
+
+    function start() {
+        if (!enabled || timer) return;
+        prune().catch(error => logger.error('Error pruning webhook log', { error }));
+        timer = setInterval(() => {
+            prune().catch(error => logger.error('Error pruning webhook log', { error }));
+        }, pruneIntervalMs);
+        timer.unref();
+    }
+
+    // Stop pruning; resolves once pending writes are done
+    async function stop() {
+        if (timer) {
+            clearInterval(timer);
+            timer = null;
+        }
+        await writeQueue.catch(() => {});
+    }
+
+    return {
+        filePath,
+        enabled,
+        append,
+        read,
+        prune,
+        start,
+        stop
+    };
+}
+
+module.exports = {
+    createWebhookLog
+};
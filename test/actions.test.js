@@ -0,0 +1,100 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { accountConfig, build } = require('../lib/simulator/fixtures');
+const { createGraphServer } = require('../lib/simulator/graph-server');
+const { createSmtpSink } = require('../lib/simulator/smtp-sink');
+const { startServer, sendWebhook, admin } = require('./support/server');
+
+describe('comment actions', () => {
+    const graph = createGraphServer();
+    const smtp = createSmtpSink();
+    const configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhook-config-'));
+    let server;
+
+    before(async () => {
+        const configFile = path.join(configDir, 'config.json');
+        fs.writeFileSync(configFile, JSON.stringify({
+            ...accountConfig(),
+            actions: {
+                rules: [
+                    { name: 'hide-spam', blocklist: ['buy followers'], action: 'hide' },
+                    { name: 'thank-instagram', match: { platform: 'instagram' }, action: 'reply', message: 'Thanks {{author}}!' },
+                    { name: 'like-facebook', match: { platform: 'facebook' }, action: 'like' }
+                ]
+            }
+        }));
+
+        const graphUrl = await graph.start();
+        const smtpPort = await smtp.start();
+        server = await startServer({ graphUrl, smtpPort, env: { CONFIG_FILE: configFile } });
+    });
+
+    after(async () => {
+        await server?.stop();
+        await graph.stop();
+        await smtp.stop();
+        fs.rmSync(configDir, { recursive: true, force: true });
+    });
+
+    // Send a delivery and resolve to the actions stored with its mention
+    async function deliverAndGetActions(body, search) {
+        const count = smtp.messages.length;
+        await sendWebhook(server.url, body);
+        await smtp.waitForMessages(count + 1);
+
+        const { body: result } = await admin(server.url, 'GET', `/api/mentions?q=${encodeURIComponent(search)}`);
+        const { body: detail } = await admin(server.url, 'GET', `/api/mentions/${result.mentions[0].id}`);
+        return detail.mention.record.outcome.actions;
+    }
+
+    const posts = () => graph.requests.filter(request => request.method === 'POST');
+
+    it('replies to Instagram comments on the account\'s media', async () => {
+        const body = build('instagram-comment', { seq: 20 });
+        const commentId = body.entry[0].changes[0].value.id;
+
+        const actions = await deliverAndGetActions(body, 'Can\'t wait to visit');
+        assert.deepStrictEqual(actions.map(action => [action.action, action.status]), [['reply', 'done']]);
+
+        const reply = posts().find(request => request.path === `${commentId}/replies`);
+        assert.ok(reply, 'the reply was posted');
+        assert.strictEqual(reply.query.message, 'Thanks jamie.rivera!');
+        assert.strictEqual(reply.query.access_token, 'acme-page-token');
+    });
+
+    it('likes Facebook comments on the page', async () => {
+        const body = build('page-feed-comment', { seq: 21, text: 'Lovely staff' });
+        const commentId = body.entry[0].changes[0].value.comment_id;
+
+        const actions = await deliverAndGetActions(body, 'Lovely staff');
+        assert.deepStrictEqual(actions.map(action => [action.action, action.status]), [['like', 'done']]);
+        assert.ok(posts().some(request => request.path === `${commentId}/likes`));
+    });
+
+    it('only hides comments matching the blocklist', async () => {
+        const body = build('page-feed-comment', { seq: 22, text: 'Buy followers cheap at example.com' });
+        const commentId = body.entry[0].changes[0].value.comment_id;
+
+        const actions = await deliverAndGetActions(body, 'cheap at example.com');
+        assert.deepStrictEqual(actions.map(action => [action.action, action.status]), [['hide', 'done']]);
+
+        const hide = posts().find(request => request.path === commentId);
+        assert.ok(hide, 'the comment was hidden');
+        assert.strictEqual(hide.query.is_hidden, 'true');
+        assert.ok(!posts().some(request => request.path === `${commentId}/likes`));
+    });
+
+    it('matches the blocklist against a mentioning comment, not the post it was left on', async () => {
+        const body = build('page-comment-mention', { seq: 23 });
+        const { post_id: postId, comment_id: commentId } = body.entry[0].changes[0].value;
+        graph.respond(postId, { id: postId, message: 'Buy followers cheap at example.com', permalink_url: `https://www.facebook.com/${postId}` });
+        graph.respond(commentId, { id: commentId, message: 'Acme Coffee, see you on Saturday', from: { id: '1', name: 'Sam Lee' } });
+
+        const actions = await deliverAndGetActions(body, 'see you on Saturday');
+        assert.deepStrictEqual(actions.map(action => [action.action, action.status]), [['like', 'done']]);
+        assert.ok(!posts().some(request => request.path === commentId), 'the comment was not hidden');
+    });
+});
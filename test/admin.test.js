@@ -0,0 +1,132 @@
+const fs = require('fs');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { PAGE, INSTAGRAM, FAN, build } = require('../lib/simulator/fixtures');
+const { createGraphServer } = require('../lib/simulator/graph-server');
+const { createSmtpSink } = require('../lib/simulator/smtp-sink');
+const { startServer, sendWebhook, admin, waitFor } = require('./support/server');
+
+describe('replay and backfill', () => {
+    const graph = createGraphServer();
+    const smtp = createSmtpSink();
+    let server;
+
+    before(async () => {
+        const graphUrl = await graph.start();
+        const smtpPort = await smtp.start();
+        server = await startServer({ graphUrl, smtpPort });
+    });
+
+    after(async () => {
+        await server?.stop();
+        await graph.stop();
+        await smtp.stop();
+    });
+
+    async function assertNothingSent(count) {
+        await new Promise(resolve => setTimeout(resolve, 300));
+        assert.strictEqual(smtp.messages.length, count);
+    }
+
+    it('requires the admin token', async () => {
+        const response = await fetch(`${server.url}/admin/replay`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ since: '1h' })
+        });
+        assert.strictEqual(response.status, 401);
+    });
+
+    describe('POST /admin/replay', () => {
+        it('logs deliveries and skips mentions already notified when replaying them', async () => {
+            await sendWebhook(server.url, build('instagram-comment', { seq: 10 }));
+            await smtp.waitForMessages(1);
+
+            const logFile = path.join(server.dataDir, 'webhooks.jsonl');
+            const logged = fs.readFileSync(logFile, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+            assert.strictEqual(logged.length, 1);
+            assert.strictEqual(logged[0].body.object, 'instagram');
+
+            const byTime = await admin(server.url, 'POST', '/admin/replay', { since: '1h' });
+            assert.deepStrictEqual(byTime, { status: 200, body: { status: 'ok', deliveries: 1, jobs: 1 } });
+
+            const byId = await admin(server.url, 'POST', '/admin/replay', { ids: [logged[0].id] });
+            assert.deepStrictEqual(byId.body, { status: 'ok', deliveries: 1, jobs: 1 });
+            await assertNothingSent(1);
+        });
+
+        it('processes deliveries sent as payloads', async () => {
+            const count = smtp.messages.length;
+            const result = await admin(server.url, 'POST', '/admin/replay', {
+                payloads: [build('page-feed-comment', { seq: 11 }), build('instagram-message', { seq: 11 })]
+            });
+            assert.deepStrictEqual(result.body, { status: 'ok', deliveries: 2, jobs: 2 });
+
+            const messages = await smtp.waitForMessages(count + 2);
+            const subjects = messages.slice(count).map(message => message.subject).sort();
+            assert.deepStrictEqual(subjects, ['New Facebook comment mention for Acme Coffee', 'New Instagram message for acmecoffee']);
+        });
+
+        it('rejects invalid requests', async () => {
+            const badTime = await admin(server.url, 'POST', '/admin/replay', { since: 'yesterday-ish' });
+            assert.strictEqual(badTime.status, 400);
+
+            const badPayload = await admin(server.url, 'POST', '/admin/replay', { payloads: [{ object: 'user' }] });
+            assert.strictEqual(badPayload.status, 400);
+        });
+    });
+
+    describe('POST /admin/backfill', () => {
+        it('queues mentions found in the tagged and tags edges once', async () => {
+            graph.respond(`${PAGE.id}/tagged`, {
+                data: [{
+                    id: `${FAN.facebookId}_3100000000000001`,
+                    message: `Brunch at ${PAGE.name}`,
+                    created_time: new Date().toISOString(),
+                    permalink_url: `https://www.facebook.com/${FAN.facebookId}/posts/3100000000000001`,
+                    from: { id: FAN.facebookId, name: FAN.name }
+                }]
+            });
+            graph.respond(`${INSTAGRAM.id}/tags`, {
+                data: [{
+                    id: '17960000000000001',
+                    caption: 'Weekend coffee run',
+                    timestamp: new Date(Date.now() - 60 * 1000).toISOString(),
+                    username: FAN.username,
+                    permalink: 'https://www.instagram.com/p/17960000000000001/',
+                    media_type: 'IMAGE'
+                }]
+            });
+
+            const count = smtp.messages.length;
+            const result = await admin(server.url, 'POST', '/admin/backfill', { since: '1d' });
+            assert.strictEqual(result.status, 200);
+            assert.strictEqual(result.body.found, 2);
+            assert.strictEqual(result.body.queued, 2);
+
+            const messages = await smtp.waitForMessages(count + 2);
+            const texts = messages.slice(count).map(message => message.text);
+            assert.ok(texts.some(text => text.includes('Brunch at Acme Coffee')));
+            assert.ok(texts.some(text => text.includes('Weekend coffee run')));
+
+            const again = await waitFor(async () => {
+                const { body } = await admin(server.url, 'POST', '/admin/backfill', { since: '1d' });
+                return body.duplicates === 2 && body;
+            });
+            assert.strictEqual(again.queued, 0);
+        });
+
+        it('reports accounts whose edge could not be read', async () => {
+            graph.respond(`${INSTAGRAM.id}/tags`, {
+                error: { message: 'Invalid OAuth access token.', type: 'OAuthException', code: 190 }
+            }, { status: 400, times: 1 });
+
+            const result = await admin(server.url, 'POST', '/admin/backfill', { since: '1d', accounts: [INSTAGRAM.username] });
+            assert.strictEqual(result.status, 207);
+            assert.strictEqual(result.body.status, 'partial');
+            assert.strictEqual(result.body.accounts.length, 1);
+            assert.strictEqual(result.body.accounts[0].error, 'Invalid OAuth access token.');
+        });
+    });
+});
@@ -0,0 +1,52 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+process.env.LOG_LEVEL = 'error';
+
+const { createMentionStore } = require('../lib/mention-store');
+
+describe('mention store', () => {
+    let dir;
+    let filePath;
+    const mention = { platform: 'instagram', commentId: '17900000000000001', matchedAccount: 'acmecoffee' };
+    const lines = () => fs.readFileSync(filePath, 'utf8').split('\n').filter(Boolean);
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mention-store-'));
+        filePath = path.join(dir, 'mentions.jsonl');
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('rewrites the file with one line per mention on load', async () => {
+        const store = createMentionStore(filePath);
+        const record = await store.recordMention(mention, { raw: true }, { status: 'failed' });
+        await store.recordMention(mention, { raw: true }, { status: 'sent' });
+        await store.updateTriage(record.id, { status: 'handled', by: 'sam' });
+        assert.strictEqual(lines().length, 3);
+
+        const reloaded = createMentionStore(filePath);
+        assert.strictEqual(lines().length, 1);
+        const loaded = reloaded.get(record.id);
+        assert.strictEqual(loaded.attempts, 2);
+        assert.strictEqual(loaded.outcome.status, 'sent');
+        assert.strictEqual(loaded.triage.status, 'handled');
+        assert.strictEqual(fs.existsSync(`${filePath}.tmp`), false);
+    });
+
+    it('compacts the file while running once it has many superseded lines', async () => {
+        const store = createMentionStore(filePath);
+        const record = await store.recordMention(mention, { raw: true }, { status: 'sent' });
+        for (let i = 0; i < 1000; i++) {
+            await store.updateTriage(record.id, { assignee: `user-${i}` });
+        }
+
+        assert.ok(lines().length < 10, `expected a compacted file, found ${lines().length} lines`);
+        assert.strictEqual(createMentionStore(filePath).get(record.id).triage.assignee, 'user-999');
+    });
+});
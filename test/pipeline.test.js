@@ -0,0 +1,144 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { PAGE, build } = require('../lib/simulator/fixtures');
+const { createGraphServer } = require('../lib/simulator/graph-server');
+const { createSmtpSink } = require('../lib/simulator/smtp-sink');
+const { startServer, sendWebhook, admin } = require('./support/server');
+
+// A second monitored page, tagged in the same posts as PAGE
+const SECOND_PAGE = { id: '101000000000002', name: 'Acme Roastery', token: 'roastery-page-token' };
+
+// The notification each fixture should produce
+const EXPECTED = {
+    'page-mention': { subject: /^New Facebook post mention for Acme Coffee$/, text: 'Coffee with friends at Acme Coffee' },
+    'page-comment-mention': { subject: /^New Facebook comment mention for Acme Coffee$/, text: 'Acme Coffee makes the best flat white' },
+    'page-feed-post': { subject: /^New Facebook post mention for Acme Coffee$/, text: 'Best flat white in town, Acme Coffee!' },
+    'page-feed-photo': { subject: /^New Facebook post mention for Acme Coffee$/, text: 'Media (photo): https://scontent.xx.fbcdn.net/v/photo0001.jpg' },
+    'page-feed-comment': { subject: /^New Facebook comment mention for Acme Coffee$/, text: 'Are you open on Sundays?' },
+    'page-message': { subject: /^New Facebook message for Acme Coffee$/, text: 'By User: Jamie Rivera' },
+    'instagram-caption-mention': { subject: /^New Instagram post mention for acmecoffee$/, text: 'Morning coffee at @acmecoffee' },
+    'instagram-comment-mention': { subject: /^New Instagram comment mention for acmecoffee$/, text: '@acmecoffee the best cortado in town' },
+    'instagram-comment': { subject: /^New Instagram comment mention for acmecoffee$/, text: 'Can\'t wait to visit @acmecoffee' },
+    'instagram-live-comment': { subject: /^New Instagram live comment mention for acmecoffee$/, text: 'Hello from Lisbon!' },
+    'instagram-message': { subject: /^New Instagram message for acmecoffee$/, text: 'Is the oat milk vegan?' }
+};
+
+describe('webhook pipeline', () => {
+    const graph = createGraphServer();
+    const smtp = createSmtpSink();
+    let server;
+
+    before(async () => {
+        const graphUrl = await graph.start();
+        const smtpPort = await smtp.start();
+        server = await startServer({
+            graphUrl,
+            smtpPort,
+            env: {
+                QUEUE_MAX_ATTEMPTS: '2',
+                PAGE_ID_2: SECOND_PAGE.id,
+                PAGE_NAME_2: SECOND_PAGE.name,
+                PAGE_TOKEN_2: SECOND_PAGE.token
+            }
+        });
+    });
+
+    after(async () => {
+        await server?.stop();
+        await graph.stop();
+        await smtp.stop();
+    });
+
+    // Send a delivery and resolve to the one email it produces
+    async function deliver(body) {
+        const count = smtp.messages.length;
+        const response = await sendWebhook(server.url, body);
+        assert.strictEqual(response.status, 200);
+        const messages = await smtp.waitForMessages(count + 1);
+        return messages[count];
+    }
+
+    // Wait until the queue is empty, then check no further email was sent
+    async function assertNothingSent(count) {
+        await new Promise(resolve => setTimeout(resolve, 300));
+        assert.strictEqual(smtp.messages.length, count);
+    }
+
+    describe('notifies every supported field', () => {
+        for (const [name, expected] of Object.entries(EXPECTED)) {
+            it(name, async () => {
+                const message = await deliver(build(name));
+                assert.match(message.subject, expected.subject);
+                assert.ok(message.text.includes(expected.text), `"${expected.text}" not in:\n${message.text}`);
+                assert.match(message.html, /<h2[^>]*>You (were mentioned|received a message) on /);
+                assert.deepStrictEqual(message.envelope.to, ['social@example.com']);
+            });
+        }
+    });
+
+    it('skips redeliveries of a mention already notified', async () => {
+        const count = smtp.messages.length;
+        const response = await sendWebhook(server.url, build('page-feed-post'));
+        assert.strictEqual(response.status, 200);
+        await assertNothingSent(count);
+    });
+
+    it('notifies every page tagged in the same post', async () => {
+        const first = build('page-mention', { seq: 6 });
+        const second = build('page-mention', { seq: 6 });
+        second.entry[0].id = SECOND_PAGE.id;
+
+        const count = smtp.messages.length;
+        await sendWebhook(server.url, first);
+        await sendWebhook(server.url, second);
+        const messages = await smtp.waitForMessages(count + 2);
+        const subjects = messages.slice(count).map(message => message.subject).sort();
+        assert.deepStrictEqual(subjects, [
+            `New Facebook post mention for ${PAGE.name}`,
+            `New Facebook post mention for ${SECOND_PAGE.name}`
+        ]);
+    });
+
+    it('ignores posts made by the page itself', async () => {
+        const body = build('page-feed-post', { seq: 2 });
+        body.entry[0].changes[0].value.from = { id: PAGE.id, name: PAGE.name };
+        const count = smtp.messages.length;
+        await sendWebhook(server.url, body);
+        await assertNothingSent(count);
+    });
+
+    it('notifies App Dashboard test deliveries without Graph API lookups', async () => {
+        graph.reset();
+        const message = await deliver(build('page-mention', { seq: 3, test: true }));
+        assert.match(message.subject, /^\[Test\] /);
+        assert.strictEqual(graph.requests.length, 0);
+    });
+
+    it('retries a job whose Graph API lookup failed', async () => {
+        const body = build('instagram-caption-mention', { seq: 4 });
+        graph.respond(body.entry[0].id, { error: { message: 'An unknown error has occurred.', code: 1 } }, { status: 500, times: 1 });
+
+        const message = await deliver(body);
+        assert.match(message.subject, /^New Instagram post mention/);
+        assert.ok(message.text.includes('Morning coffee at @acmecoffee'));
+    });
+
+    it('notifies with the raw IDs once the lookup keeps failing', async () => {
+        const body = build('page-mention', { seq: 5 });
+        const postId = body.entry[0].changes[0].value.post_id;
+        graph.respond(postId, { error: { message: 'An unknown error has occurred.', code: 1 } }, { status: 500 });
+
+        const message = await deliver(body);
+        assert.match(message.subject, /^\[Details unavailable\] /);
+        assert.ok(message.text.includes(postId));
+    });
+
+    it('records notified mentions in the mention store', async () => {
+        const { status, body } = await admin(server.url, 'GET', '/api/mentions?platform=instagram&q=oat+milk');
+        assert.strictEqual(status, 200);
+        const message = body.mentions.find(mention => mention.text === 'Is the oat milk vegan?');
+        assert.ok(message, 'the Instagram message is stored');
+        assert.strictEqual(message.notification, 'sent');
+        assert.strictEqual(message.account, 'acmecoffee');
+    });
+});
@@ -0,0 +1,259 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { PAGE, accountEnv, build, sign } = require('../lib/simulator/fixtures');
+const { createGraphServer } = require('../lib/simulator/graph-server');
+const { waitFor } = require('./support/server');
+
+process.env.META_APP_SECRET = 'test-app-secret';
+process.env.LOG_LEVEL = 'error';
+process.env.ADMIN_TOKEN = 'test-admin-token';
+process.env.INTEGRATION_API_KEYS = 'zapier:test-zapier-key';
+process.env.QUEUE_MAX_ATTEMPTS = '2';
+process.env.QUEUE_BACKOFF_MS = '50';
+process.env.METRICS_TOKEN = 'test-metrics-token';
+
+const { createServer } = require('../webhook-server');
+const { loadConfig } = require('../lib/config');
+const { createGraphClient, GraphError } = require('../lib/graph-client');
+
+// nodemailer-style transport recording the mails it is given; sendMail takes delayMs, and
+// sendMail and verify fail while smtpDown is set
+function createTestTransport() {
+    const transport = {
+        sent: [],
+        delayMs: 0,
+        smtpDown: false,
+        async sendMail(mail) {
+            await new Promise(resolve => setTimeout(resolve, transport.delayMs));
+            if (transport.smtpDown) {
+                throw new Error('connect ECONNREFUSED 127.0.0.1:25');
+            }
+            transport.sent.push(mail);
+            return { messageId: `<${transport.sent.length}@test>` };
+        },
+        async verify() {
+            if (transport.smtpDown) {
+                throw new Error('connect ECONNREFUSED 127.0.0.1:25');
+            }
+            return true;
+        }
+    };
+    return transport;
+}
+
+describe('createServer', () => {
+    const graph = createGraphServer();
+    const transport = createTestTransport();
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhook-data-'));
+    let server;
+    let url;
+    // Graph API GETs answered with a rate limit pause before reaching the stand-in
+    let throttledGets = 0;
+
+    before(async () => {
+        const config = loadConfig({
+            ...accountEnv(),
+            EMAIL_HOST: '127.0.0.1',
+            EMAIL_FROM: 'monitor@example.com',
+            EMAIL_TO: 'social@example.com'
+        });
+        const client = createGraphClient({ baseUrl: await graph.start(), maxRetries: 0 });
+        server = createServer(config, {
+            dataDir,
+            transport,
+            graph: {
+                ...client,
+                get: (...args) => {
+                    if (throttledGets > 0) {
+                        throttledGets--;
+                        return Promise.reject(new GraphError('Graph API requests are paused', { code: 'THROTTLED', rateLimited: true, transient: true, retryAfterMs: 50 }));
+                    }
+                    return client.get(...args);
+                }
+            }
+        });
+        const httpServer = await server.listen(0);
+        url = `http://127.0.0.1:${httpServer.address().port}`;
+    });
+
+    after(async () => {
+        await server?.close();
+        await graph.stop();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    // Readiness checks are only run again on request for admins
+    const refreshReadiness = () => fetch(`${url}/readyz?refresh=true`, { headers: { 'Authorization': `Bearer ${process.env.ADMIN_TOKEN}` } });
+
+    it('answers the liveness probe', async () => {
+        const response = await fetch(`${url}/healthz`);
+        assert.strictEqual(response.status, 200);
+        assert.strictEqual((await response.json()).status, 'ok');
+    });
+
+    it('is ready when SMTP and the Graph API can be reached', async () => {
+        const response = await refreshReadiness();
+        const body = await response.json();
+        assert.strictEqual(response.status, 200);
+        assert.strictEqual(body.status, 'ready');
+        assert.strictEqual(body.checks.smtp.status, 'ok');
+        assert.strictEqual(body.checks.graph.status, 'ok');
+    });
+
+    it('is not ready when SMTP cannot be reached', async () => {
+        transport.smtpDown = true;
+        try {
+            const response = await refreshReadiness();
+            const body = await response.json();
+            assert.strictEqual(response.status, 503);
+            assert.strictEqual(body.checks.smtp.status, 'failed');
+            assert.match(body.checks.smtp.channels[0].error, /ECONNREFUSED/);
+        } finally {
+            transport.smtpDown = false;
+        }
+    });
+
+    it('is not ready when the Graph API cannot be reached', async () => {
+        graph.respond('me', { error: { message: 'Service temporarily unavailable', code: 2 } }, { status: 503, times: 1 });
+        const response = await refreshReadiness();
+        const body = await response.json();
+        assert.strictEqual(response.status, 503);
+        assert.strictEqual(body.checks.smtp.status, 'ok');
+        assert.strictEqual(body.checks.graph.status, 'failed');
+    });
+
+    it('reuses a recent readiness result unless an admin asks for a refresh', async () => {
+        await refreshReadiness();
+        const pings = () => graph.requests.filter(request => request.path === 'me').length;
+        const count = pings();
+        assert.strictEqual((await fetch(`${url}/readyz`)).status, 200);
+        assert.strictEqual((await fetch(`${url}/readyz?refresh=true`)).status, 200);
+        assert.strictEqual(pings(), count);
+    });
+
+    it('serves metrics with the metrics token only, even with diagnostics turned off', async () => {
+        const scrape = token => fetch(`${url}/metrics`, { headers: { 'Authorization': `Bearer ${token}` } });
+        process.env.DISABLE_DIAGNOSTICS = 'true';
+        try {
+            const response = await scrape(process.env.METRICS_TOKEN);
+            assert.strictEqual(response.status, 200);
+            assert.match(await response.text(), /webhook_events_received_total/);
+            assert.strictEqual((await scrape(process.env.ADMIN_TOKEN)).status, 401);
+        } finally {
+            delete process.env.DISABLE_DIAGNOSTICS;
+        }
+    });
+
+    it('reports the delivery of integration mentions', async () => {
+        const mention = () => fetch(`${url}/api/facebook-mention`, {
+            method: 'POST',
+            headers: { 'X-API-Key': 'test-zapier-key', 'Content-Type': 'application/json' },
+            body: JSON.stringify({ page_id: PAGE.id, post_id: `${PAGE.id}_6100000000001` })
+        }).then(response => response.json());
+
+        const { details } = await mention();
+        assert.strictEqual(details.emailSent, true);
+        assert.strictEqual(details.notification, 'sent');
+        assert.deepStrictEqual(details.channels, [{ channel: 'email', type: 'email', status: 'sent' }]);
+
+        const again = await mention();
+        assert.strictEqual(again.details.duplicate, true);
+        assert.strictEqual(again.details.emailSent, false);
+    });
+
+    it('holds jobs while Graph API requests are paused without using up their attempts', async () => {
+        throttledGets = 4;
+        const count = transport.sent.length;
+        const signed = sign(build('instagram-caption-mention', { seq: 33 }), process.env.META_APP_SECRET);
+        await fetch(`${url}/webhook`, { method: 'POST', headers: signed.headers, body: signed.body });
+
+        await waitFor(() => transport.sent.length === count + 1);
+        assert.strictEqual(throttledGets, 0);
+        assert.match(transport.sent[count].subject, /^New Instagram post mention/);
+    });
+
+    it('notifies a mention once when its redelivery is processed at the same time', async () => {
+        const count = transport.sent.length;
+        const signed = sign(build('instagram-comment', { seq: 34 }), process.env.META_APP_SECRET);
+        const deliver = () => fetch(`${url}/webhook`, { method: 'POST', headers: signed.headers, body: signed.body });
+        await Promise.all([deliver(), deliver()]);
+
+        await waitFor(() => transport.sent.length === count + 1);
+        await new Promise(resolve => setTimeout(resolve, 300));
+        assert.strictEqual(transport.sent.length, count + 1);
+    });
+
+    it('keeps failed jobs in the dead-letter list until requeued or purged', async () => {
+        const admin = async (method, endpoint, body) => {
+            const response = await fetch(`${url}${endpoint}`, {
+                method,
+                headers: { 'Authorization': `Bearer ${process.env.ADMIN_TOKEN}`, 'Content-Type': 'application/json' },
+                body: body && JSON.stringify(body)
+            });
+            return response.json();
+        };
+        const deliver = async (seq) => {
+            const signed = sign(build('instagram-comment', { seq }), process.env.META_APP_SECRET);
+            await fetch(`${url}/webhook`, { method: 'POST', headers: signed.headers, body: signed.body });
+        };
+
+        transport.smtpDown = true;
+        try {
+            await deliver(31);
+            await deliver(32);
+            await waitFor(async () => (await admin('GET', '/admin/dead-letter')).count === 2);
+        } finally {
+            transport.smtpDown = false;
+        }
+
+        const { jobs } = await admin('GET', '/admin/dead-letter');
+        assert.strictEqual(jobs[0].lastError, 'Notification failed for channel(s): email');
+        assert.strictEqual(fs.existsSync(path.join(dataDir, 'dead-letter.json')), true);
+
+        const count = transport.sent.length;
+        assert.deepStrictEqual(await admin('POST', '/admin/dead-letter/requeue', { ids: [jobs[0].id] }), { status: 'ok', requeued: 1 });
+        await waitFor(() => transport.sent.length === count + 1);
+
+        assert.deepStrictEqual(await admin('POST', '/admin/dead-letter/purge', {}), {
+            status: 'error',
+            message: 'Pass "ids" (a list of job IDs) or "all": true'
+        });
+        assert.deepStrictEqual(await admin('POST', '/admin/dead-letter/purge', { all: true }), { status: 'ok', purged: 1 });
+        assert.strictEqual((await admin('GET', '/admin/dead-letter')).count, 0);
+    });
+
+    it('does not replace a configuration passed to createServer on reload', async () => {
+        const response = await fetch(`${url}/admin/reload`, {
+            method: 'POST',
+            headers: { 'Authorization': `Bearer ${process.env.ADMIN_TOKEN}` }
+        });
+        assert.strictEqual(response.status, 409);
+        assert.match((await response.json()).message, /cannot be reloaded/);
+    });
+
+    it('finishes the job in progress when closed', async () => {
+        transport.delayMs = 300;
+        const count = transport.sent.length;
+        const signed = sign(build('instagram-comment', { seq: 30 }), process.env.META_APP_SECRET);
+        const response = await fetch(`${url}/webhook`, { method: 'POST', headers: signed.headers, body: signed.body });
+        assert.strictEqual(response.status, 200);
+
+        // Give the queue a moment to pick the job up, then shut down while the email is being sent
+        await new Promise(resolve => setTimeout(resolve, 100));
+        assert.strictEqual(transport.sent.length, count);
+        const closed = server.close();
+
+        const readiness = await server.checkReadiness();
+        assert.strictEqual(readiness.ready, false);
+
+        await closed;
+        assert.strictEqual(transport.sent.length, count + 1);
+        assert.match(transport.sent[count].subject, /^New Instagram comment mention/);
+
+        const queue = JSON.parse(fs.readFileSync(path.join(dataDir, 'queue.json'), 'utf8'));
+        assert.deepStrictEqual(queue.jobs, []);
+    });
+});
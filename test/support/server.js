@@ -0,0 +1,128 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const net = require('net');
+const { spawn } = require('child_process');
+const { accountEnv, sign } = require('../../lib/simulator/fixtures');
+
+const SERVER_PATH = path.join(__dirname, '..', '..', 'webhook-server.js');
+
+const APP_SECRET = 'test-app-secret';
+const VERIFY_TOKEN = 'test-verify-token';
+const ADMIN_TOKEN = 'test-admin-token';
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer();
+        server.once('error', reject);
+        server.listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+// Start webhook-server.js in a child process against the stand-in Graph API (graphUrl) and SMTP
+// sink (smtpPort), with the fixture accounts, a fresh DATA_DIR and short queue retries.
+// options.env adds or overrides environment variables. It runs in its own temporary directory,
+// so a local .env file is not picked up. Resolves to { url, dataDir, logs, stop() }.
+async function startServer(options) {
+    const port = await freePort();
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhook-test-'));
+    const env = {
+        PATH: process.env.PATH,
+        NODE_ENV: 'test',
+        PORT: String(port),
+        META_APP_SECRET: APP_SECRET,
+        META_VERIFY_TOKEN: VERIFY_TOKEN,
+        ADMIN_TOKEN: ADMIN_TOKEN,
+        DATA_DIR: path.join(dir, 'data'),
+        GRAPH_API_BASE_URL: options.graphUrl,
+        GRAPH_MAX_RETRIES: '0',
+        EMAIL_HOST: '127.0.0.1',
+        EMAIL_PORT: String(options.smtpPort),
+        EMAIL_FROM: 'monitor@example.com',
+        EMAIL_TO: 'social@example.com',
+        QUEUE_BACKOFF_MS: '50',
+        LOG_LEVEL: 'warn',
+        ...accountEnv(),
+        ...options.env
+    };
+
+    const child = spawn(process.execPath, [SERVER_PATH], { cwd: dir, env, stdio: ['ignore', 'pipe', 'pipe'] });
+    const logs = [];
+    const collect = chunk => logs.push(...chunk.toString('utf8').split('\n').filter(Boolean));
+    child.stdout.on('data', collect);
+    child.stderr.on('data', collect);
+
+    const url = `http://127.0.0.1:${port}`;
+    await waitFor(async () => {
+        if (child.exitCode !== null) {
+            throw new Error(`Server exited with code ${child.exitCode}:\n${logs.join('\n')}`);
+        }
+        try {
+            return (await fetch(`${url}/healthz`)).ok;
+        } catch (error) {
+            return false;
+        }
+    }, 10000);
+
+    function stop() {
+        return new Promise(resolve => {
+            const done = () => {
+                fs.rmSync(dir, { recursive: true, force: true });
+                resolve();
+            };
+            if (child.exitCode !== null) return done();
+            child.once('exit', done);
+            child.kill('SIGTERM');
+        });
+    }
+
+    return { url, dataDir: env.DATA_DIR, logs, stop };
+}
+
+// Poll check() until it returns something truthy; rejects after timeoutMs
+async function waitFor(check, timeoutMs = 5000) {
+    const deadline = Date.now() + timeoutMs;
+    for (;;) {
+        const result = await check();
+        if (result) return result;
+        if (Date.now() > deadline) {
+            throw new Error(`Timed out after ${timeoutMs}ms`);
+        }
+        await new Promise(resolve => setTimeout(resolve, 25));
+    }
+}
+
+// POST a delivery to /webhook, signed with the test app secret unless options.signature is given
+// (null sends it unsigned)
+function sendWebhook(url, body, options = {}) {
+    const signed = sign(body, options.secret || APP_SECRET);
+    const headers = { ...signed.headers };
+    if (options.signature !== undefined) {
+        delete headers['X-Hub-Signature-256'];
+        if (options.signature !== null) headers['X-Hub-Signature-256'] = options.signature;
+    }
+    return fetch(`${url}/webhook`, { method: 'POST', headers, body: signed.body });
+}
+
+// Call an admin endpoint; resolves to { status, body }
+async function admin(url, method, endpoint, body) {
+    const response = await fetch(`${url}${endpoint}`, {
+        method,
+        headers: { Authorization: `Bearer ${ADMIN_TOKEN}`, 'Content-Type': 'application/json' },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+module.exports = {
+    APP_SECRET,
+    VERIFY_TOKEN,
+    ADMIN_TOKEN,
+    startServer,
+    waitFor,
+    sendWebhook,
+    admin
+};
@@ -0,0 +1,82 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { build } = require('../lib/simulator/fixtures');
+const { createGraphServer } = require('../lib/simulator/graph-server');
+const { createSmtpSink } = require('../lib/simulator/smtp-sink');
+const { VERIFY_TOKEN, startServer, sendWebhook, waitFor } = require('./support/server');
+
+describe('webhook endpoint', () => {
+    const graph = createGraphServer();
+    const smtp = createSmtpSink();
+    let server;
+
+    before(async () => {
+        const graphUrl = await graph.start();
+        const smtpPort = await smtp.start();
+        server = await startServer({ graphUrl, smtpPort });
+    });
+
+    after(async () => {
+        await server?.stop();
+        await graph.stop();
+        await smtp.stop();
+    });
+
+    describe('subscription verification', () => {
+        it('answers the challenge when the verify token matches', async () => {
+            const response = await fetch(`${server.url}/webhook?hub.mode=subscribe&hub.verify_token=${VERIFY_TOKEN}&hub.challenge=1158201444`);
+            assert.strictEqual(response.status, 200);
+            assert.strictEqual(await response.text(), '1158201444');
+        });
+
+        it('rejects a wrong verify token', async () => {
+            const response = await fetch(`${server.url}/webhook?hub.mode=subscribe&hub.verify_token=wrong&hub.challenge=1`);
+            assert.strictEqual(response.status, 403);
+        });
+
+        it('returns 404 without a mode or token', async () => {
+            const response = await fetch(`${server.url}/webhook?hub.challenge=1`);
+            assert.strictEqual(response.status, 404);
+        });
+    });
+
+    describe('signature verification', () => {
+        it('accepts a correctly signed delivery', async () => {
+            const response = await sendWebhook(server.url, build('page-feed-post', { seq: 900 }));
+            assert.strictEqual(response.status, 200);
+            assert.strictEqual(await response.text(), 'EVENT_RECEIVED');
+        });
+
+        it('rejects a delivery without a signature', async () => {
+            const response = await sendWebhook(server.url, build('page-feed-post', { seq: 901 }), { signature: null });
+            assert.strictEqual(response.status, 401);
+        });
+
+        it('rejects a delivery signed with another secret', async () => {
+            const response = await sendWebhook(server.url, build('page-feed-post', { seq: 902 }), { secret: 'another-secret' });
+            assert.strictEqual(response.status, 403);
+        });
+
+        it('rejects a malformed signature', async () => {
+            const response = await sendWebhook(server.url, build('page-feed-post', { seq: 903 }), { signature: 'sha256=abc' });
+            assert.strictEqual(response.status, 403);
+        });
+    });
+
+    it('returns 404 for objects other than page and instagram', async () => {
+        const response = await sendWebhook(server.url, { object: 'whatsapp_business_account', entry: [] });
+        assert.strictEqual(response.status, 404);
+    });
+
+    it('only notifies signed deliveries', async () => {
+        await sendWebhook(server.url, build('page-feed-post', { seq: 910, text: 'Unsigned delivery' }), { signature: null });
+        await sendWebhook(server.url, build('page-feed-post', { seq: 911, text: 'Delivery signed with another secret' }), { secret: 'another-secret' });
+        await sendWebhook(server.url, build('page-feed-post', { seq: 912, text: 'Signed delivery' }));
+
+        const notified = text => smtp.messages.some(message => message.text.includes(text));
+        await waitFor(() => notified('Signed delivery'));
+        await new Promise(resolve => setTimeout(resolve, 300));
+        assert.strictEqual(notified('Unsigned delivery'), false);
+        assert.strictEqual(notified('Delivery signed with another secret'), false);
+    });
+});
@@ -1,780 +1,2077 @@
-require('dotenv').config();
+const fs = require('fs');
+const dotenv = require('dotenv');
+
+// The .env file is only loaded when the server runs standalone, so requiring this module has no
+// side effects on process.env. It is loaded here rather than at the bottom because the modules
+// below read settings such as LOG_LEVEL when they are required. Variables from the real
+// environment always win over the .env file, also on reload; the variables that came from the
+// file are remembered so a reload reads their new values from it.
+const standalone = require.main === module;
+let dotenvKeys = [];
+if (standalone) {
+    const envKeys = new Set(Object.keys(process.env));
+    const { parsed } = dotenv.config();
+    dotenvKeys = Object.keys(parsed || {}).filter(key => !envKeys.has(key));
+}
+
 const express = require('express');
 const bodyParser = require('body-parser');
-const nodemailer = require('nodemailer');
-const axios = require('axios');
-
-const app = express();
-
-// Parse application/json
-app.use(bodyParser.json());
-
-// Middleware to log incoming requests
-app.use((req, res, next) => {
-    console.log(`${new Date().toISOString()} - ${req.method} ${req.url}`);
-    if (req.method === 'POST') {
-        console.log('Request Body:', JSON.stringify(req.body, null, 2));
-    }
-    next();
-});
-
-// Configure email transporter
-const transporter = nodemailer.createTransport({
-    host: process.env.EMAIL_HOST,
-    port: process.env.EMAIL_PORT,
-    secure: false,
-    auth: {
-        user: process.env.EMAIL_USER,
-        pass: process.env.EMAIL_PASS
-    }
-});
-
-// Store Instagram usernames and their corresponding page tokens
-const instagramAccounts = {};
-const facebookPages = {};
-
-// Initialize page configurations from environment variables
-function initializePageConfigurations() {
-    console.log('Initializing page configurations...');
-    // Find how many page configurations exist
-    let pageIndex = 1;
-    while (process.env[`PAGE_ID_${pageIndex}`]) {
-        const pageId = process.env[`PAGE_ID_${pageIndex}`];
-        const pageName = process.env[`PAGE_NAME_${pageIndex}`];
-        const pageToken = process.env[`PAGE_TOKEN_${pageIndex}`];
-        const igUsername = process.env[`PAGE_IG_USERNAME_${pageIndex}`];
-
-        console.log(`Found configuration for Page ID ${pageId} (${pageName})`);
-
-        facebookPages[pageId] = {
-            name: pageName,
-            token: pageToken
-        };
+const crypto = require('crypto');
+const path = require('path');
+const { mentionKey, createMentionStore } = require('./lib/mention-store');
+const { createJobQueue } = require('./lib/job-queue');
+const { sendToChannels, sendAlertToChannels, sendDigestToChannels } = require('./lib/notifiers');
+const { isUrgent, createDigestQueue } = require('./lib/digest');
+const { matchAccounts } = require('./lib/mention-parser');
+const { ConfigError, loadConfig } = require('./lib/config');
+const { buildRuntime } = require('./lib/runtime');
+const { hasAdminToken, requireAdmin, requireApiKey, requireDiagnostics, requireMetrics } = require('./lib/auth');
+const { parseMentionFilters, parseTriageChanges, queryMentions, summarizeMention } = require('./lib/mention-query');
+const { renderMentionList, renderMentionDetail } = require('./lib/dashboard');
+const { createTokenHealthMonitor } = require('./lib/token-health');
+const { createGraphClient } = require('./lib/graph-client');
+const { createTtlCache } = require('./lib/ttl-cache');
+const { runActions } = require('./lib/actions');
+const { createWebhookLog } = require('./lib/webhook-log');
+const { parseTimeRange, findTaggedPosts, findTaggedMedia } = require('./lib/backfill');
+const metrics = require('./lib/metrics');
+const { logger, withContext } = require('./lib/logger');
+
+// Paths of the health probes, which are polled too often to log at info level
+const PROBE_PATHS = ['/healthz', '/readyz'];
+
+// How long a readiness result is reused
+const READINESS_CACHE_MS = 10 * 1000;
+
+// Build the webhook server: the Express app with its routes, and the job queue, digests, webhook
+// log and token checks behind it.
+//
+// config is a loaded configuration (see lib/config.js). Without one it is loaded from CONFIG_FILE
+// or the PAGE_*_n environment variables, throwing a ConfigError if it is invalid. Everything else
+// (DATA_DIR, ADMIN_TOKEN, QUEUE_*, GRAPH_*, ...) is read from the environment.
+//
+// Options:
+//   graph              Graph API client to use instead of one built from GRAPH_* (see lib/graph-client.js)
+//   transport          nodemailer transport for every email channel instead of SMTP
+//   dataDir            directory for the mention store, queues and webhook log (default DATA_DIR)
+//   shutdownTimeoutMs  how long close() waits for work in progress (default SHUTDOWN_TIMEOUT_MS or 10000)
+//
+// Returns { app, start, listen, close, reload, checkReadiness }. Either call listen(port), or mount
+// app in your own Express app and call start(); close() stops what either started.
+function createServer(config, options = {}) {
+    const app = express();
+
+    // Parse application/json, keeping the raw bytes around for signature verification
+    app.use(bodyParser.json({
+        verify: (req, res, buf) => {
+            req.rawBody = buf;
+        }
+    }));
+
+    // Give every request a correlation ID (the caller's X-Request-Id, or a new one) and log it.
+    // Everything logged while handling the request carries the ID, as do the jobs queued for a
+    // webhook delivery. Bodies, and the health probes polled every few seconds, are only logged
+    // at debug level.
+    app.use((req, res, next) => {
+        const requested = req.get('X-Request-Id');
+        const correlationId = requested && /^[\w.:-]{1,128}$/.test(requested) ? requested : crypto.randomUUID();
+        req.correlationId = correlationId;
+        res.set('X-Request-Id', correlationId);
+
+        withContext({ correlationId }, () => {
+            const startedAt = Date.now();
+            const level = PROBE_PATHS.includes(req.path) ? 'debug' : 'info';
+            logger[level]('Request received', { method: req.method, url: req.originalUrl });
+            if (req.method === 'POST') {
+                logger.debug('Request body', { body: req.body });
+            }
+            res.on('finish', () => withContext({ correlationId }, () => {
+                logger[level]('Request completed', {
+                    method: req.method,
+                    url: req.originalUrl,
+                    status: res.statusCode,
+                    durationMs: Date.now() - startedAt
+                });
+            }));
+            next();
+        });
+    });
 
-        if (igUsername) {
-            console.log(`Linked to Instagram username: ${igUsername}`);
-            instagramAccounts[igUsername.toLowerCase()] = {
-                pageId: pageId,
-                token: pageToken,
-                name: pageName
-            };
+    // While shutting down, connections are closed after each response instead of kept alive
+    let shuttingDown = false;
+    app.use((req, res, next) => {
+        if (shuttingDown) {
+            res.set('Connection', 'close');
         }
+        next();
+    });
 
-        pageIndex++;
-    }
+    // Load and validate the page, account and notification configuration
+    // (CONFIG_FILE if set, otherwise the PAGE_*_n environment variables).
+    // The runtime holds the account lookups, notification channels and routing built from it;
+    // handlers read it once per job, and a reload swaps in a complete new runtime.
+    // A reload uses options.loadConfig; without it, a server created with its own config cannot
+    // be reloaded, and one that loaded its config itself reads the environment again.
+    const reloadConfig = options.loadConfig || (config ? null : () => loadConfig(readEnvironment()));
+    const initialConfig = config || (options.loadConfig ? options.loadConfig() : loadConfig(process.env));
+    logger.info('Loaded configuration', { source: initialConfig.source });
+    let runtime = buildRuntime(initialConfig, { transport: options.transport });
+
+    // Persist processed mentions so webhook redeliveries do not trigger duplicate notifications
+    const DATA_DIR = options.dataDir || process.env.DATA_DIR || path.join(__dirname, 'data');
+    const mentionStore = createMentionStore(path.join(DATA_DIR, 'mentions.jsonl'));
+
+    // Verified webhook deliveries are logged so they can be replayed (POST /admin/replay)
+    const webhookLog = createWebhookLog({
+        filePath: path.join(DATA_DIR, 'webhooks.jsonl'),
+        retentionDays: process.env.WEBHOOK_LOG_RETENTION_DAYS ? parseInt(process.env.WEBHOOK_LOG_RETENTION_DAYS, 10) : 14
+    });
 
-    // Also check for comma-separated list of usernames (alternative configuration)
-    if (process.env.BUSINESS_IG_USERNAMES) {
-        const usernames = process.env.BUSINESS_IG_USERNAMES.split(',').map(u => u.trim());
-        console.log('Additional Instagram usernames:', usernames);
+    // Webhook changes are queued on disk and processed in the background so Meta gets an immediate response
+    const jobQueue = createJobQueue({
+        filePath: path.join(DATA_DIR, 'queue.json'),
+        deadLetterFilePath: path.join(DATA_DIR, 'dead-letter.json'),
+        handler: runWebhookJob,
+        concurrency: parseInt(process.env.QUEUE_CONCURRENCY, 10) || 2,
+        maxAttempts: parseInt(process.env.QUEUE_MAX_ATTEMPTS, 10) || 5,
+        backoffMs: parseInt(process.env.QUEUE_BACKOFF_MS, 10) || 5000,
+        maxDeadLetter: parseInt(process.env.QUEUE_DEAD_LETTER_MAX, 10) || 1000,
+        deadLetterRetentionDays: process.env.QUEUE_DEAD_LETTER_RETENTION_DAYS ? parseInt(process.env.QUEUE_DEAD_LETTER_RETENTION_DAYS, 10) : 30
+    });
 
-        // For each username, try to find the matching page configuration
-        for (const username of usernames) {
-            // Skip if already configured
-            if (instagramAccounts[username.toLowerCase()]) continue;
+    // Mentions for routing rules with a digest are collected on disk and summarized per window
+    const digestQueue = createDigestQueue({
+        filePath: path.join(DATA_DIR, 'digests.json'),
+        send: sendDigest,
+        onFailed: sendDigestFailedAlert
+    });
 
-            // Look through page configurations to find a match
-            for (let i = 1; process.env[`PAGE_ID_${i}`]; i++) {
-                const igUsername = process.env[`PAGE_IG_USERNAME_${i}`];
-                if (igUsername && igUsername.toLowerCase() === username.toLowerCase()) {
-                    instagramAccounts[username.toLowerCase()] = {
-                        pageId: process.env[`PAGE_ID_${i}`],
-                        token: process.env[`PAGE_TOKEN_${i}`],
-                        name: process.env[`PAGE_NAME_${i}`]
-                    };
-                    console.log(`Found page configuration for username ${username}`);
-                    break;
+    // Every Graph API request goes through this client (version, timeouts, retries and rate limits)
+    const graph = options.graph || createGraphClient({
+        apiVersion: process.env.GRAPH_API_VERSION || 'v19.0',
+        baseUrl: process.env.GRAPH_API_BASE_URL || 'https://graph.facebook.com',
+        timeoutMs: parseInt(process.env.GRAPH_TIMEOUT_MS, 10) || 10000,
+        maxRetries: process.env.GRAPH_MAX_RETRIES ? parseInt(process.env.GRAPH_MAX_RETRIES, 10) : 2,
+        retryDelayMs: parseInt(process.env.GRAPH_RETRY_DELAY_MS, 10) || 1000,
+        usageThreshold: parseInt(process.env.GRAPH_USAGE_THRESHOLD, 10) || 90
+    });
+
+    metrics.trackQueues({ jobQueue, digestQueue });
+
+    // Post/media details and author profiles are cached, so comments on the same post share one lookup
+    const graphCacheOptions = {
+        ttlMs: (parseInt(process.env.GRAPH_CACHE_TTL_SECONDS, 10) || 300) * 1000,
+        maxEntries: parseInt(process.env.GRAPH_CACHE_MAX_ENTRIES, 10) || 1000
+    };
+    const postCache = createTtlCache({ ...graphCacheOptions, name: 'posts' });
+    const profileCache = createTtlCache({ ...graphCacheOptions, name: 'profiles' });
+
+    // Scheduled health checks of the page access tokens (requires META_APP_ID and META_APP_SECRET)
+    const tokenHealth = createTokenHealthMonitor({
+        getPages: () => runtime.config.pages,
+        graph: graph,
+        appId: process.env.META_APP_ID,
+        appSecret: process.env.META_APP_SECRET,
+        warningDays: parseInt(process.env.TOKEN_EXPIRY_WARNING_DAYS, 10) || 7,
+        intervalMs: (parseFloat(process.env.TOKEN_CHECK_INTERVAL_HOURS) || 12) * 60 * 60 * 1000,
+        onAlert: sendPageAlert
+    });
+    const tokenHealthEnabled = !!(process.env.META_APP_ID && process.env.META_APP_SECRET);
+
+    // Read the environment again for a reload, including changes to the .env file when running standalone
+    function readEnvironment() {
+        const env = { ...process.env };
+        if (standalone && fs.existsSync('.env')) {
+            const file = dotenv.parse(fs.readFileSync('.env'));
+            for (const key of dotenvKeys) {
+                delete env[key];
+            }
+            for (const [key, value] of Object.entries(file)) {
+                if (!(key in env)) {
+                    env[key] = value;
                 }
             }
         }
+        return env;
     }
 
-    console.log('Configured Facebook Pages:', Object.keys(facebookPages).length);
-    console.log('Configured Instagram Accounts:', Object.keys(instagramAccounts).length);
-}
-
-// Initialize configurations on startup
-initializePageConfigurations();
-
-// Webhook verification endpoint
-app.get('/webhook', (req, res) => {
-    console.log('Received webhook verification request:', req.query);
-    const mode = req.query['hub.mode'];
-    const token = req.query['hub.verify_token'];
-    const challenge = req.query['hub.challenge'];
-
-    // Check if a token and mode is in the query string of the request
-    if (mode && token) {
-        // Check the mode and token sent are correct
-        if (mode === 'subscribe' && token === process.env.META_VERIFY_TOKEN) {
-            // Respond with the challenge token from the request
-            console.log('WEBHOOK_VERIFIED with challenge:', challenge);
-            res.status(200).send(challenge);
-        } else {
-            // Respond with '403 Forbidden' if verify tokens do not match
-            console.log('WEBHOOK_VERIFICATION_FAILED: Token mismatch');
-            res.sendStatus(403);
+    // Reload the configuration and swap it in if it is valid. An invalid configuration is
+    // logged and the current one stays active.
+    function reloadConfiguration(trigger) {
+        logger.info('Reloading configuration', { trigger });
+        if (!reloadConfig) {
+            logger.warn('Configuration reload rejected, the server was created with a fixed configuration', { trigger });
+            return {
+                status: 'error',
+                reloadable: false,
+                message: 'The configuration was passed to createServer and cannot be reloaded; pass options.loadConfig to allow reloads'
+            };
+        }
+        try {
+            const config = reloadConfig();
+            runtime = buildRuntime(config, { transport: options.transport });
+
+            const result = {
+                status: 'ok',
+                source: config.source,
+                loadedAt: runtime.loadedAt,
+                facebookPages: Object.keys(runtime.facebookPages).length,
+                instagramAccounts: Object.keys(runtime.instagramAccounts).length,
+                notificationChannels: runtime.notifiers.size
+            };
+            logger.info('Configuration reloaded', result);
+            return result;
+        } catch (error) {
+            const issues = error instanceof ConfigError ? error.issues : [error.message];
+            logger.error('Configuration reload failed, keeping the current configuration', { issues });
+            return {
+                status: 'error',
+                message: 'Configuration reload failed; the current configuration is still active',
+                issues: issues
+            };
         }
-    } else {
-        // Return a '404 Not Found' if mode or token are missing
-        console.log('WEBHOOK_VERIFICATION_FAILED: Missing mode or token');
-        res.sendStatus(404);
     }
-});
 
-// Webhook event handling
-app.post('/webhook', async (req, res) => {
-    try {
-        const body = req.body;
-        console.log('Received webhook event:', JSON.stringify(body, null, 2));
+    // Admin endpoint to reload the configuration without restarting
+    app.post('/admin/reload', requireAdmin, (req, res) => {
+        const result = reloadConfiguration('admin endpoint');
+        if (result.reloadable === false) {
+            return res.status(409).send(result);
+        }
+        res.status(result.status === 'ok' ? 200 : 422).send(result);
+    });
 
-        // Check if this is an event from a page or Instagram
-        if (body.object === 'page' || body.object === 'instagram') {
-            // Process each entry
-            for (const entry of body.entry || []) {
-                try {
-                    if (entry.changes) {
-                        // Handle Facebook/Instagram webhook events
-                        for (const change of entry.changes) {
-                            console.log(`Processing change for field: ${change.field}`);
-
-                            if (change.field === 'mention') {
-                                await handleMention(change.value, 'facebook');
-                            } else if (change.field === 'mentions') {
-                                await handleMention(change.value, 'instagram');
-                            } else if (change.field === 'comments') {
-                                await handleComment(change.value);
-                            } else {
-                                console.log(`Ignoring unsupported field: ${change.field}`);
-                            }
-                        }
-                    } else {
-                        console.log('Entry does not contain changes array:', entry);
-                    }
-                } catch (error) {
-                    console.error('Error processing webhook entry:', error);
-                }
+    // Webhook verification endpoint
+    app.get('/webhook', (req, res) => {
+        logger.info('Received webhook verification request', { mode: req.query['hub.mode'] });
+        const mode = req.query['hub.mode'];
+        const token = req.query['hub.verify_token'];
+        const challenge = req.query['hub.challenge'];
+
+        // Check if a token and mode is in the query string of the request
+        if (mode && token) {
+            // Check the mode and token sent are correct
+            if (mode === 'subscribe' && token === process.env.META_VERIFY_TOKEN) {
+                // Respond with the challenge token from the request
+                logger.info('Webhook verified');
+                res.status(200).send(challenge);
+            } else {
+                // Respond with '403 Forbidden' if verify tokens do not match
+                logger.warn('Webhook verification failed: token mismatch');
+                res.sendStatus(403);
             }
-
-            // Return a '200 OK' response to acknowledge receipt of the event
-            res.status(200).send('EVENT_RECEIVED');
         } else {
-            // Return a '404 Not Found' if event is not from a page subscription
-            console.log(`Unknown object type: ${body.object}`);
+            // Return a '404 Not Found' if mode or token are missing
+            logger.warn('Webhook verification failed: missing mode or token');
             res.sendStatus(404);
         }
-    } catch (error) {
-        console.error('Error in webhook processing:', error);
-        res.status(500).send('Error processing webhook');
-    }
-});
+    });
 
-app.post('/api/facebook-mention', async (req, res) => {
-    try {
-        console.log('Received Facebook mention from Zapier:', JSON.stringify(req.body, null, 2));
+    // Verify the X-Hub-Signature-256 header Meta sends with every webhook delivery.
+    // Set SKIP_SIGNATURE_VERIFICATION=true to disable this check for local testing.
+    function verifyWebhookSignature(req, res, next) {
+        if (process.env.SKIP_SIGNATURE_VERIFICATION === 'true') {
+            logger.warn('Skipping webhook signature verification (SKIP_SIGNATURE_VERIFICATION=true)');
+            return next();
+        }
 
-        // Extract data from Zapier payload
-        const data = req.body;
+        const appSecret = process.env.META_APP_SECRET;
+        if (!appSecret) {
+            logger.error('Signature verification failed: META_APP_SECRET is not set');
+            return res.sendStatus(500);
+        }
 
-        // Validate required fields
-        if (!data.page_id || !data.post_id) {
-            return res.status(400).send({
-                status: 'error',
-                message: 'Missing required fields (page_id or post_id)'
-            });
+        const signature = req.get('X-Hub-Signature-256');
+        if (!signature) {
+            logger.warn('Signature verification failed: missing X-Hub-Signature-256 header');
+            return res.sendStatus(401);
         }
 
-        // Create mention info object
-        const mentionInfo = {
-            platform: 'facebook',
-            pageId: data.page_id,
-            postId: data.post_id,
-            timestamp: data.created_time || new Date().toISOString(),
-            senderName: data.sender_name || 'Unknown',
-        };
+        const expected = 'sha256=' + crypto
+            .createHmac('sha256', appSecret)
+            .update(req.rawBody || '')
+            .digest('hex');
 
-        // Get page token for API access
-        const pageToken = facebookPages[mentionInfo.pageId]?.token;
-        if (!pageToken) {
-            return res.status(404).send({
-                status: 'error',
-                message: `No token found for Facebook page ${mentionInfo.pageId}`,
-                availablePages: Object.keys(facebookPages)
-            });
+        const signatureBuffer = Buffer.from(signature);
+        const expectedBuffer = Buffer.from(expected);
+        if (signatureBuffer.length !== expectedBuffer.length || !crypto.timingSafeEqual(signatureBuffer, expectedBuffer)) {
+            logger.warn('Signature verification failed: signature mismatch');
+            return res.sendStatus(403);
         }
 
-        // Extract post ID from the full format if needed
-        // Format could be either "pageId_postId" or just "postId"
-        const fullPostId = mentionInfo.postId;  // This contains the full ID format pageId_postId
+        next();
+    }
+
+    // Queue each change and messaging event of a delivery; the worker pool processes them in the
+    // background. Used for live deliveries and replays (extra.replayOf is the replayed log entry).
+    // Resolves to the queued jobs.
+    async function queueDelivery(body, correlationId, extra) {
+        const jobs = [];
+        for (const entry of body.entry || []) {
+            for (const change of entry.changes || []) {
+                if (!extra?.replayOf) {
+                    metrics.webhookEvents.inc({ object: body.object, field: change.field || 'unknown' });
+                }
+                const job = await jobQueue.enqueue('change', {
+                    object: body.object,
+                    entryId: entry.id,
+                    entryTime: entry.time,
+                    correlationId: correlationId,
+                    ...extra,
+                    change: change
+                });
+                logger.info('Queued change', { field: change.field, jobId: job.id });
+                jobs.push(job);
+            }
+
+            for (const event of entry.messaging || []) {
+                if (!extra?.replayOf) {
+                    metrics.webhookEvents.inc({ object: body.object, field: 'messaging' });
+                }
+                const job = await jobQueue.enqueue('messaging', {
+                    object: body.object,
+                    entryId: entry.id,
+                    entryTime: entry.time,
+                    correlationId: correlationId,
+                    ...extra,
+                    event: event
+                });
+                logger.info('Queued messaging event', { jobId: job.id });
+                jobs.push(job);
+            }
+
+            if (!entry.changes && !entry.messaging) {
+                logger.warn('Entry does not contain changes or messaging events', { entryId: entry.id });
+                logger.debug('Entry without changes or messaging events', { entry });
+            }
+        }
+        return jobs;
+    }
 
-// Get full post details using the Facebook Graph API
+    // Webhook event handling
+    app.post('/webhook', verifyWebhookSignature, async (req, res) => {
         try {
-            console.log(`Fetching details for post: ${fullPostId}`);
-            const postDetails = await getFacebookPostDetails(fullPostId, pageToken);
+            const body = req.body;
+            logger.info('Received webhook event', { object: body.object, entries: (body.entry || []).length });
 
-            // Combine all information
-            Object.assign(mentionInfo, postDetails);
+            // Check if this is an event from a page or Instagram
+            if (body.object === 'page' || body.object === 'instagram') {
+                // A delivery that cannot be logged is still processed; it just cannot be replayed
+                try {
+                    await webhookLog.append(body, req.correlationId);
+                } catch (error) {
+                    logger.error('Error writing webhook delivery to log', { error });
+                }
 
-            // Send email notification
-            await sendMentionEmail({
-                ...mentionInfo,
-                mentionedUsername: facebookPages[mentionInfo.pageId]?.name || 'your page'
-            });
+                await queueDelivery(body, req.correlationId);
 
-            // Return success response
-            res.status(200).send({
-                status: 'success',
-                message: 'Facebook mention processed successfully',
-                details: {
-                    pageId: mentionInfo.pageId,
-                    postId: fullPostId,
-                    emailSent: true
+                // Return a '200 OK' response to acknowledge receipt of the event
+                res.status(200).send('EVENT_RECEIVED');
+            } else {
+                // Return a '404 Not Found' if event is not from a page subscription
+                logger.warn('Unknown object type', { object: body.object });
+                res.sendStatus(404);
+            }
+        } catch (error) {
+            // Nothing was acknowledged, so Meta will redeliver the event
+            logger.error('Error in webhook processing', { error });
+            res.status(500).send('Error processing webhook');
+        }
+    });
+
+    // Admin endpoint to replay webhook deliveries through the normal processing. Body:
+    //   { "since": "6h", "until": "2024-05-01T12:00:00Z" }   logged deliveries received in that range
+    //   { "ids": ["..."] }                                     logged deliveries by ID
+    //   { "payloads": [{ "object": "page", "entry": [...] }] } deliveries stored elsewhere
+    // Mentions that were already processed are skipped as usual.
+    app.post('/admin/replay', requireAdmin, async (req, res) => {
+        const { since, until, ids, payloads } = req.body || {};
+        try {
+            let deliveries;
+            if (payloads) {
+                if (!Array.isArray(payloads) || payloads.some(body => !['page', 'instagram'].includes(body?.object))) {
+                    return res.status(400).send({
+                        status: 'error',
+                        message: 'payloads must be a list of page or instagram webhook deliveries'
+                    });
                 }
+                deliveries = payloads.map(body => ({ id: null, body }));
+            } else if (ids) {
+                if (!Array.isArray(ids)) {
+                    return res.status(400).send({ status: 'error', message: 'ids must be a list' });
+                }
+                deliveries = await webhookLog.read({ ids: ids.map(String) });
+            } else {
+                let range;
+                try {
+                    range = parseTimeRange({ since, until });
+                } catch (error) {
+                    return res.status(400).send({ status: 'error', message: error.message });
+                }
+                deliveries = await webhookLog.read(range);
+            }
+
+            let jobs = 0;
+            for (const delivery of deliveries) {
+                const queued = await queueDelivery(delivery.body, req.correlationId, { replayOf: delivery.id || 'request' });
+                jobs += queued.length;
+            }
+            logger.info('Replaying webhook deliveries', { deliveries: deliveries.length, jobs });
+
+            res.status(200).send({
+                status: 'ok',
+                deliveries: deliveries.length,
+                jobs: jobs
             });
         } catch (error) {
-            console.error('Error processing Facebook mention:', error);
+            logger.error('Error replaying webhook deliveries', { error });
             res.status(500).send({
                 status: 'error',
-                message: 'Error processing Facebook mention',
+                message: 'Error replaying webhook deliveries',
                 error: error.message
             });
         }
-    } catch (error) {
-        console.error('Error in Zapier Facebook mention endpoint:', error);
-        res.status(500).send({
-            status: 'error',
-            message: 'Server error processing Facebook mention',
-            error: error.message
-        });
-    }
-});
+    });
 
-// Handle mention in post or comment
-async function handleMention(data, platform) {
-    try {
-        console.log(`Received ${platform} mention:`, JSON.stringify(data, null, 2));
+    // Admin endpoint to backfill mentions missed between since and until by polling the Graph API
+    // (see lib/backfill.js). Body: { "since": "2d", "until": "...", "accounts": ["brand_a", "111"] }
+    // where accounts (page IDs, page names or Instagram usernames) defaults to every account.
+    // New mentions are queued like webhook changes; those already processed are counted as duplicates.
+    app.post('/admin/backfill', requireAdmin, async (req, res) => {
+        const { facebookPages, instagramAccounts } = runtime;
+        const { since, until, accounts } = req.body || {};
 
-        // Depending on platform, extract relevant info
-        let mentionInfo = {
-            platform: platform,
-            timestamp: new Date().toISOString()
-        };
+        let range;
+        try {
+            range = parseTimeRange({ since, until });
+        } catch (error) {
+            return res.status(400).send({ status: 'error', message: error.message });
+        }
+        if (accounts !== undefined && !Array.isArray(accounts)) {
+            return res.status(400).send({ status: 'error', message: 'accounts must be a list' });
+        }
 
-        if (platform === 'facebook') {
-            // For Facebook, we need the page_id to get the right token
-            // If this is test data, it might not include a page_id
-            mentionInfo.pageId = data.page_id;
-            mentionInfo.postId = data.post_id;
-            mentionInfo.userId = data.sender_id;
-            mentionInfo.senderName = data.sender_name;
-
-            // Check if we have a valid page_id
-            if (!mentionInfo.pageId) {
-                console.log('No page_id in Facebook mention data. This might be test data.');
-
-                // For test data, or if we can't determine the page, handle gracefully
-                if (Object.keys(facebookPages).length === 1) {
-                    // If we only have one page configured, use that
-                    const pageId = Object.keys(facebookPages)[0];
-                    mentionInfo.pageId = pageId;
-                    console.log(`Using default Facebook page: ${pageId}`);
-                } else if (Object.keys(facebookPages).length > 1) {
-                    // If we have multiple pages, use the first one for test data
-                    const pageId = Object.keys(facebookPages)[0];
-                    mentionInfo.pageId = pageId;
-                    console.log(`Using first Facebook page (${pageId}) as fallback`);
-                } else {
-                    // No pages configured
-                    throw new Error('No Facebook pages configured');
-                }
+        const wanted = (accounts || []).map(account => String(account).toLowerCase());
+        const selected = (...names) => wanted.length === 0 || names.some(name => name && wanted.includes(String(name).toLowerCase()));
+
+        const sources = [];
+        for (const [pageId, page] of Object.entries(facebookPages)) {
+            if (selected(pageId, page.name)) {
+                sources.push({ platform: 'facebook', account: pageId, find: () => findTaggedPosts(graph, { id: pageId, ...page }, range) });
+            }
+        }
+        for (const [username, account] of Object.entries(instagramAccounts)) {
+            if (selected(username, account.id)) {
+                sources.push({ platform: 'instagram', account: username, find: () => findTaggedMedia(graph, { username, ...account }, range) });
             }
+        }
 
-            // Get page token
-            const pageToken = facebookPages[mentionInfo.pageId]?.token;
-            if (!pageToken) {
-                throw new Error(`No token found for Facebook page ${mentionInfo.pageId}`);
+        logger.info('Backfilling mentions', { since: range.since.toISOString(), until: range.until.toISOString(), accounts: sources.length });
+        const results = [];
+        for (const source of sources) {
+            const result = { platform: source.platform, account: source.account, found: 0, queued: 0, duplicates: 0 };
+            if (source.platform === 'instagram' && !instagramAccounts[source.account].id) {
+                results.push({ ...result, error: 'No Instagram account ID configured' });
+                continue;
             }
 
             try {
-                // Get full post details if this isn't test data
-                const postDetails = await getFacebookPostDetails(mentionInfo.postId, pageToken);
-                mentionInfo = { ...mentionInfo, ...postDetails };
-            } catch (postError) {
-                console.log('Error fetching post details (likely test data):', postError.message);
-
-                // For test data, create mock details
-                mentionInfo = {
-                    ...mentionInfo,
-                    postMessage: 'This is a test mention post',
-                    postUrl: `https://facebook.com/posts/${mentionInfo.postId || 'test'}`,
-                    postCreatedTime: new Date().toISOString(),
-                    fromUser: mentionInfo.senderName || 'Test User',
-                    mediaType: 'unknown'
-                };
+                const found = await source.find();
+                result.found = found.length;
+                for (const { item, mention } of found) {
+                    if (mentionStore.isProcessed(mentionKey(mention))) {
+                        result.duplicates++;
+                        continue;
+                    }
+                    const job = await jobQueue.enqueue('backfill', { correlationId: req.correlationId, mention, item });
+                    logger.info('Queued backfilled mention', { platform: mention.platform, jobId: job.id });
+                    result.queued++;
+                }
+            } catch (error) {
+                logger.error('Error backfilling mentions', { platform: source.platform, account: source.account, error });
+                result.error = error.message;
             }
+            results.push(result);
+        }
 
-            // Send email notification
-            await sendMentionEmail(mentionInfo);
-
-        } else if (platform === 'instagram') {
-
-            // Safely extract data
-            mentionInfo.mediaId = data.media_id;
-            mentionInfo.commentId = data.comment_id;
-
-            // Since Instagram doesn't tell us which account was mentioned,
-            // we have two options:
-            // A) If we have only one account configured, assume it's that one
-            // B) If we have multiple accounts, try to fetch the comment text and detect which account was mentioned
+        res.status(results.some(result => result.error) ? 207 : 200).send({
+            status: results.some(result => result.error) ? 'partial' : 'ok',
+            since: range.since.toISOString(),
+            until: range.until.toISOString(),
+            found: results.reduce((sum, result) => sum + result.found, 0),
+            queued: results.reduce((sum, result) => sum + result.queued, 0),
+            duplicates: results.reduce((sum, result) => sum + result.duplicates, 0),
+            accounts: results
+        });
+    });
 
-            let accountInfo = null;
+    // Admin endpoints for jobs that failed every attempt (see lib/job-queue.js).
+    // GET lists them; requeue and purge take { "ids": ["..."] } or { "all": true }.
+    app.get('/admin/dead-letter', requireAdmin, (req, res) => {
+        const jobs = jobQueue.listDeadLetter();
+        res.status(200).send({
+            status: 'ok',
+            count: jobs.length,
+            jobs: jobs
+        });
+    });
 
-            if (Object.keys(instagramAccounts).length === 1) {
-                // Option A: Only one account configured
-                const accountKey = Object.keys(instagramAccounts)[0];
-                accountInfo = instagramAccounts[accountKey];
-                mentionInfo.mentionedUsername = accountKey;
-                console.log(`Using default Instagram account: ${accountKey}`);
-            } else {
-                // Option B: Multiple accounts configured
-                // First, try to get a valid token from any account to fetch the comment
-                const firstAccountKey = Object.keys(instagramAccounts)[0];
-                const tempToken = instagramAccounts[firstAccountKey]?.token;
-
-                if (!tempToken) {
-                    console.error('No valid token found for any Instagram account');
-                    return; // Skip this mention
-                }
+    // Read the dead-lettered jobs a requeue or purge request selects: null for all of them
+    function deadLetterSelection(body) {
+        if (body?.all === true) {
+            return { ids: null };
+        }
+        if (Array.isArray(body?.ids) && body.ids.length > 0) {
+            return { ids: body.ids.map(String) };
+        }
+        return { error: 'Pass "ids" (a list of job IDs) or "all": true' };
+    }
 
-                // Fetch the comment to see which account was mentioned
-                try {
-                    // If we have a comment_id, fetch the comment
-                    if (mentionInfo.commentId) {
-                        const commentDetails = await getInstagramCommentDetails(mentionInfo.commentId, tempToken);
-
-                        // Check which account was mentioned in the comment text
-                        const commentText = commentDetails.text || '';
-                        console.log(`Comment text: ${commentText}`);
-
-                        // Look for @username mentions in the comment
-                        let mentionedAccount = null;
-                        for (const username of Object.keys(instagramAccounts)) {
-                            if (commentText.toLowerCase().includes(`@${username.toLowerCase()}`)) {
-                                mentionedAccount = username;
-                                break;
-                            }
-                        }
-
-                        if (mentionedAccount) {
-                            accountInfo = instagramAccounts[mentionedAccount.toLowerCase()];
-                            mentionInfo.mentionedUsername = mentionedAccount;
-                            console.log(`Detected mention of account: ${mentionedAccount}`);
-                        } else {
-                            console.log('No known account mentioned in comment text');
-                        }
-                    }
-                } catch (commentError) {
-                    console.error('Error fetching comment details:', commentError);
-                }
+    app.post('/admin/dead-letter/requeue', requireAdmin, async (req, res) => {
+        const selection = deadLetterSelection(req.body);
+        if (selection.error) {
+            return res.status(400).send({ status: 'error', message: selection.error });
+        }
+        try {
+            const jobs = await jobQueue.requeueDeadLetter(selection.ids);
+            res.status(200).send({ status: 'ok', requeued: jobs.length });
+        } catch (error) {
+            logger.error('Error requeueing dead-lettered jobs', { error });
+            res.status(500).send({ status: 'error', message: 'Error requeueing dead-lettered jobs', error: error.message });
+        }
+    });
 
-                // If we still don't know which account was mentioned, use the first one as fallback
-                if (!accountInfo) {
-                    const fallbackAccount = Object.keys(instagramAccounts)[0];
-                    accountInfo = instagramAccounts[fallbackAccount];
-                    mentionInfo.mentionedUsername = fallbackAccount;
-                    console.log(`Using fallback Instagram account: ${fallbackAccount}`);
-                }
-            }
+    app.post('/admin/dead-letter/purge', requireAdmin, async (req, res) => {
+        const selection = deadLetterSelection(req.body);
+        if (selection.error) {
+            return res.status(400).send({ status: 'error', message: selection.error });
+        }
+        try {
+            const purged = await jobQueue.purgeDeadLetter(selection.ids);
+            res.status(200).send({ status: 'ok', purged: purged });
+        } catch (error) {
+            logger.error('Error purging dead-lettered jobs', { error });
+            res.status(500).send({ status: 'error', message: 'Error purging dead-lettered jobs', error: error.message });
+        }
+    });
 
-            if (!accountInfo) {
-                console.error('Could not determine Instagram account configuration');
-                console.log('Available accounts:', Object.keys(instagramAccounts));
-                return; // Skip this mention
-            }
+    // Meta's App Dashboard test tool ("Send to My Server") delivers sample payloads with entry ID "0".
+    // These are labelled as tests rather than being enriched and notified as real mentions.
+    function isTestDelivery(payload) {
+        return String(payload.entryId) === '0';
+    }
 
+    // Run a queued job, recording its duration and outcome in webhook_job_duration_seconds.
+    // The job runs under the correlation ID of the webhook delivery it came from, so its log lines
+    // (and those of its Graph API calls) can be matched to the request.
+    async function runWebhookJob(job, options) {
+        const field = ['messaging', 'backfill'].includes(job.type) ? job.type : job.payload.change?.field || 'unknown';
+        const correlation = { correlationId: job.payload.correlationId || job.id, jobId: job.id };
+        return withContext(correlation, async () => {
+            const endTimer = metrics.jobDuration.startTimer({ field });
             try {
-                // Get full post details using the determined account's token
-                const postDetails = await getInstagramPostDetails(mentionInfo.mediaId, accountInfo.token);
-                mentionInfo = { ...mentionInfo, ...postDetails };
-            } catch (postError) {
-                console.log('Error fetching post details (likely test data):', postError.message);
-
-                // For test data, create mock details
-                mentionInfo = {
-                    ...mentionInfo,
-                    postMessage: 'This is a test Instagram mention',
-                    postUrl: `https://instagram.com/p/test`,
-                    postCreatedTime: new Date().toISOString(),
-                    fromUser: 'Test User',
-                    mediaType: 'image'
-                };
+                await processWebhookJob(job, options);
+                endTimer({ outcome: 'success' });
+            } catch (error) {
+                endTimer({ outcome: 'error' });
+                throw error;
             }
+        });
+    }
 
-            // Send email notification
-            await sendMentionEmail(mentionInfo);
+    // Process a queued webhook change, messaging event or backfilled mention. Errors are thrown so the queue can retry the job.
+    // The mentions the job reserves are released when it ends, after their outcome is recorded.
+    async function processWebhookJob(job, { finalAttempt }) {
+        const context = {
+            entryId: job.payload.entryId,
+            isTest: isTestDelivery(job.payload),
+            finalAttempt: finalAttempt,
+            queued: true,
+            reserved: []
+        };
+        try {
+            await processWebhookPayload(job, context);
+        } finally {
+            releaseMentions(context);
         }
-
-    } catch (error) {
-        console.error('Error handling mention:', error);
     }
-}
 
-// Handle comments that might include mentions
-async function handleComment(data) {
-    try {
-        console.log('Received comment:', JSON.stringify(data, null, 2));
+    // Hand a job to the handler for its type or field
+    async function processWebhookPayload(job, context) {
+        const attemptInfo = { attempt: job.attempts, test: context.isTest || undefined };
 
-        if (!data) {
-            console.error('Empty comment data received');
+        if (job.type === 'backfill') {
+            logger.info('Processing backfilled mention', { platform: job.payload.mention.platform, ...attemptInfo });
+            if (!isDuplicateMention(job.payload.mention, context)) {
+                await deliverMention(job.payload.mention, job.payload.item);
+            }
             return;
         }
 
-        // Extract comment information
-        const commentInfo = {
-            platform: data.from?.instagram_id ? 'instagram' : 'facebook',
-            commentId: data.id,
-            postId: data.post_id || data.media_id,
-            timestamp: data.created_time || new Date().toISOString(),
-            message: data.message || data.text || ''
-        };
-
-        // Skip if no message content
-        if (!commentInfo.message) {
-            console.log('Comment has no message content to check for mentions');
+        if (job.type === 'messaging') {
+            logger.info('Processing messaging event', { object: job.payload.object, ...attemptInfo });
+            await handleMessage(job.payload.event, job.payload.object === 'instagram' ? 'instagram' : 'facebook', context);
             return;
         }
 
-        // Check if the comment contains mentions of monitored accounts
-        const monitoredAccounts = Object.keys(instagramAccounts);
-        if (monitoredAccounts.length === 0) {
-            console.log('No Instagram accounts configured to monitor for mentions');
-            return;
+        const { change } = job.payload;
+        logger.info('Processing change', { field: change.field, ...attemptInfo });
+
+        if (change.field === 'mention') {
+            await handleMention(change.value, 'facebook', context);
+        } else if (change.field === 'mentions') {
+            await handleMention(change.value, 'instagram', context);
+        } else if (change.field === 'comments') {
+            await handleComment(change.value, context);
+        } else if (change.field === 'feed' && job.payload.object === 'page') {
+            await handleFeedChange(change.value, context);
+        } else if (change.field === 'live_comments') {
+            await handleLiveComment(change.value, context);
+        } else {
+            logger.info('Ignoring unsupported field', { field: change.field });
         }
+    }
 
-        const containsMention = monitoredAccounts.some(username =>
-            commentInfo.message.toLowerCase().includes(`@${username.toLowerCase()}`)
-        );
+    app.post('/api/facebook-mention', requireApiKey, async (req, res) => {
+        const { facebookPages } = runtime;
+        // Zapier requests are not retried, so a failed lookup is notified as degraded straight away
+        const context = { finalAttempt: true, reserved: [] };
+        try {
+            logger.info('Received Facebook mention from integration', { integration: req.integration });
 
-        if (!containsMention) {
-            console.log('Comment does not mention any monitored accounts');
-            return;
-        }
+            // Extract data from Zapier payload
+            const data = req.body;
 
-        // Determine which account was mentioned
-        const mentionedAccount = monitoredAccounts.find(username =>
-            commentInfo.message.toLowerCase().includes(`@${username.toLowerCase()}`)
-        );
+            // Validate required fields
+            if (!data.page_id || !data.post_id) {
+                return res.status(400).send({
+                    status: 'error',
+                    message: 'Missing required fields (page_id or post_id)'
+                });
+            }
 
-        if (mentionedAccount) {
-            const accountInfo = instagramAccounts[mentionedAccount.toLowerCase()];
-            if (!accountInfo) {
-                console.error(`Account info missing for mentioned account: ${mentionedAccount}`);
-                return;
+            // Create mention info object
+            const mentionInfo = {
+                platform: 'facebook',
+                pageId: data.page_id,
+                postId: data.post_id,
+                matchedAccount: String(data.page_id),
+                timestamp: data.created_time || new Date().toISOString(),
+                senderName: data.sender_name || 'Unknown',
+            };
+
+            if (isDuplicateMention(mentionInfo, context)) {
+                return res.status(200).send({
+                    status: 'success',
+                    message: 'Facebook mention already processed',
+                    details: {
+                        pageId: mentionInfo.pageId,
+                        postId: mentionInfo.postId,
+                        duplicate: true,
+                        emailSent: false
+                    }
+                });
+            }
+
+            // Get page token for API access
+            const pageToken = facebookPages[mentionInfo.pageId]?.token;
+            if (!pageToken) {
+                return res.status(404).send({
+                    status: 'error',
+                    message: `No token found for Facebook page ${mentionInfo.pageId}`,
+                    availablePages: Object.keys(facebookPages)
+                });
             }
 
-            // Get full post details
-            let postDetails;
+            // Extract post ID from the full format if needed
+            // Format could be either "pageId_postId" or just "postId"
+            const fullPostId = mentionInfo.postId;  // This contains the full ID format pageId_postId
+
+            // Get full post details using the Facebook Graph API
             try {
-                if (commentInfo.platform === 'instagram') {
-                    postDetails = await getInstagramPostDetails(commentInfo.postId, accountInfo.token);
-                } else {
-                    postDetails = await getFacebookPostDetails(commentInfo.postId, accountInfo.token);
-                }
+
+                const enrichedInfo = await enrichMention(
+                    mentionInfo,
+                    () => getFacebookPostDetails(fullPostId, pageToken),
+                    context
+                );
 
                 // Send email notification
-                await sendMentionEmail({
-                    ...commentInfo,
-                    ...postDetails,
-                    mentionType: 'comment',
-                    mentionedUsername: mentionedAccount
+                const outcome = await deliverMention({
+                    ...enrichedInfo,
+                    mentionedUsername: facebookPages[mentionInfo.pageId]?.name || 'your page'
+                }, data);
+
+                // Return success response, with what happened on each channel the mention was routed to
+                res.status(200).send({
+                    status: 'success',
+                    message: 'Facebook mention processed successfully',
+                    details: {
+                        pageId: mentionInfo.pageId,
+                        postId: fullPostId,
+                        emailSent: outcome.channels.some(result => result.type === 'email' && result.status === 'sent'),
+                        notification: outcome.status,
+                        channels: outcome.channels.map(result => ({
+                            channel: result.channel,
+                            type: result.type,
+                            status: result.status,
+                            digest: result.digest
+                        })),
+                        degraded: !!enrichedInfo.degraded
+                    }
                 });
             } catch (error) {
-                console.error('Error fetching post details for comment:', error);
+                logger.error('Error processing Facebook mention', { error });
+                res.status(500).send({
+                    status: 'error',
+                    message: 'Error processing Facebook mention',
+                    error: error.message
+                });
             }
+        } catch (error) {
+            logger.error('Error in Zapier Facebook mention endpoint', { error });
+            res.status(500).send({
+                status: 'error',
+                message: 'Server error processing Facebook mention',
+                error: error.message
+            });
+        } finally {
+            releaseMentions(context);
         }
-    } catch (error) {
-        console.error('Error handling comment:', error);
-    }
-}
+    });
 
-// Get Instagram comment details
-async function getInstagramCommentDetails(commentId, accessToken) {
-    try {
-        console.log(`Fetching Instagram comment details for comment ID: ${commentId}`);
-        const response = await axios.get(
-            `https://graph.facebook.com/v19.0/${commentId}`,
-            {
-                params: {
-                    fields: 'id,text,username,timestamp',
-                    access_token: accessToken
+    // Handle mention in post or comment
+    async function handleMention(data, platform, context) {
+        const { facebookPages, instagramAccounts, instagramAccountsById } = runtime;
+        try {
+            logger.info('Received mention', { platform });
+            logger.debug('Mention data', { data });
+
+            // Depending on platform, extract relevant info
+            let mentionInfo = {
+                platform: platform,
+                timestamp: new Date().toISOString()
+            };
+
+            if (platform === 'facebook') {
+                // For Facebook, we need the page_id to get the right token: the delivery's entry ID
+                // is the page that was mentioned. If this is test data, it might not include a page_id
+                mentionInfo.pageId = data.page_id || (facebookPages[context.entryId] ? String(context.entryId) : undefined);
+                mentionInfo.postId = data.post_id;
+                mentionInfo.commentId = data.comment_id;
+                mentionInfo.mentionType = mentionInfo.commentId ? 'comment' : 'post';
+                mentionInfo.userId = data.sender_id;
+                mentionInfo.senderName = data.sender_name;
+
+                // Check if we have a valid page_id
+                if (!mentionInfo.pageId) {
+                    logger.warn('No page_id in Facebook mention data');
+
+                    // If we can't determine the page, handle gracefully
+                    if (Object.keys(facebookPages).length === 1) {
+                        // If we only have one page configured, use that
+                        const pageId = Object.keys(facebookPages)[0];
+                        mentionInfo.pageId = pageId;
+                        logger.info('Using default Facebook page', { pageId });
+                    } else if (Object.keys(facebookPages).length > 1) {
+                        // If we have multiple pages, use the first one
+                        const pageId = Object.keys(facebookPages)[0];
+                        mentionInfo.pageId = pageId;
+                        logger.warn('Using first Facebook page as fallback', { pageId });
+                    } else {
+                        // No pages configured
+                        throw new Error('No Facebook pages configured');
+                    }
                 }
-            }
-        );
 
-        console.log('Instagram comment details response:', JSON.stringify(response.data, null, 2));
+                // Get page token
+                const pageToken = facebookPages[mentionInfo.pageId]?.token;
+                if (!pageToken) {
+                    throw new Error(`No token found for Facebook page ${mentionInfo.pageId}`);
+                }
 
-        return {
-            id: response.data.id,
-            text: response.data.text || '',
-            username: response.data.username || 'Unknown',
-            timestamp: response.data.timestamp
-        };
-    } catch (error) {
-        console.error('Error fetching Instagram comment details:', error.response?.data || error.message);
-        return {
-            error: 'Could not fetch comment details',
-            errorMessage: error.message
-        };
-    }
-}
+                // A post tagging several of our pages is delivered once per page
+                mentionInfo.mentionedUsername = facebookPages[mentionInfo.pageId].name;
+                mentionInfo.matchedAccount = String(mentionInfo.pageId);
+                if (isDuplicateMention(mentionInfo, context)) {
+                    return;
+                }
 
-// Get Facebook post details
-// Get Facebook post details
-async function getFacebookPostDetails(postId, accessToken) {
-    try {
-        console.log(`Fetching Facebook post details for post ID: ${postId}`);
-
-        // Use the full ID directly since it's already in the correct format
-        const response = await axios.get(
-            `https://graph.facebook.com/v19.0/${postId}`,
-            {
-                params: {
-                    fields: 'id,message,permalink_url,created_time,from{id,name,picture},attachments',
-                    access_token: accessToken
+                if (context.isTest) {
+                    // Sample data from the App Dashboard cannot be looked up in the Graph API
+                    mentionInfo = {
+                        ...mentionInfo,
+                        isTest: true,
+                        postMessage: 'Test mention delivered from the Meta App Dashboard',
+                        fromUser: mentionInfo.senderName || 'Test User',
+                        mediaType: 'none'
+                    };
+                } else if (mentionInfo.commentId) {
+                    // The comment is the mention: its text and author are notified and matched by the
+                    // action rules, while the post it was left on only adds its link and media
+                    const lookup = async () => {
+                        const [post, comment] = await Promise.all([
+                            getFacebookPostDetails(mentionInfo.postId, pageToken),
+                            getFacebookComment(mentionInfo.commentId, pageToken)
+                        ]);
+                        return {
+                            ...comment,
+                            postMessage: comment.message,
+                            postUrl: post.postUrl,
+                            mediaType: post.mediaType,
+                            mediaUrl: post.mediaUrl
+                        };
+                    };
+                    mentionInfo = await enrichMention(mentionInfo, lookup, context);
+                } else {
+                    // Get full post details
+                    mentionInfo = await enrichMention(
+                        mentionInfo,
+                        () => getFacebookPostDetails(mentionInfo.postId, pageToken),
+                        context
+                    );
                 }
-            }
-        );
 
-        console.log('Facebook post details response:', JSON.stringify(response.data, null, 2));
+                // Send email notification; the comment is on someone else's post
+                await deliverMention(mentionInfo, data, { token: pageToken, accountId: mentionInfo.pageId, mentionedIn: true });
 
-        return {
-            postMessage: response.data.message || '',
-            postUrl: response.data.permalink_url,
-            postCreatedTime: response.data.created_time,
-            fromUser: response.data.from?.name || 'Unknown',
-            fromUserPicture: response.data.from?.picture?.data?.url || '',
-            mediaType: response.data.attachments?.data[0]?.type || 'none',
-            mediaUrl: response.data.attachments?.data[0]?.url || ''
-        };
-    } catch (error) {
-        console.error('Error fetching Facebook post details:', error.response?.data || error.message);
-        return {
-            error: 'Could not fetch post details',
-            errorMessage: error.message,
-            postMessage: 'Unable to retrieve post content'
-        };
-    }
-}
+            } else if (platform === 'instagram') {
 
-// Get Instagram post details
-async function getInstagramPostDetails(mediaId, accessToken) {
-    try {
-        console.log(`Fetching Instagram post details for media ID: ${mediaId}`);
-        const response = await axios.get(
-            `https://graph.facebook.com/v19.0/${mediaId}`,
-            {
-                params: {
-                    fields: 'id,caption,permalink,timestamp,username,media_type,media_url',
-                    access_token: accessToken
+                // Safely extract data
+                mentionInfo.mediaId = data.media_id;
+                mentionInfo.commentId = data.comment_id;
+
+                // The entry ID of a mentions delivery is the Instagram Business Account that was mentioned
+                const accountKey = resolveInstagramAccount(context);
+                if (!accountKey) {
+                    logger.error('No Instagram account configured with this ID, skipping mention', {
+                        entryId: context.entryId,
+                        configuredIds: Object.keys(instagramAccountsById)
+                    });
+                    return;
                 }
-            }
-        );
 
-        console.log('Instagram post details response:', JSON.stringify(response.data, null, 2));
+                const accountInfo = instagramAccounts[accountKey];
+                const igUserId = accountInfo.id || context.entryId;
+                mentionInfo.mentionedUsername = accountKey;
+                mentionInfo.matchedAccount = accountKey;
+                mentionInfo.mentionType = mentionInfo.commentId ? 'comment' : 'post';
 
-        return {
-            postMessage: response.data.caption || '',
-            postUrl: response.data.permalink,
-            postCreatedTime: response.data.timestamp,
-            fromUser: response.data.username || 'Unknown',
-            mediaType: response.data.media_type?.toLowerCase() || 'unknown',
-            mediaUrl: response.data.media_url || ''
-        };
-    } catch (error) {
-        console.error('Error fetching Instagram post details:', error.response?.data || error.message);
-        return {
-            error: 'Could not fetch post details',
-            errorMessage: error.message,
-            postMessage: 'Unable to retrieve post content'
-        };
-    }
-}
+                // A caption or comment mentioning several of our accounts is delivered once per account
+                if (isDuplicateMention(mentionInfo, context)) {
+                    return;
+                }
 
-// Send email notification about the mention
-async function sendMentionEmail(mentionInfo) {
-    try {
-        // Determine the platform label
-        const platform = mentionInfo.platform.charAt(0).toUpperCase() + mentionInfo.platform.slice(1);
-
-        // Determine mention type
-        const mentionType = mentionInfo.mentionType || 'post';
-
-        // Create email subject
-        const subject = `New ${platform} ${mentionType} mention for ${mentionInfo.mentionedUsername || 'your account'}`;
-
-        // Create image preview section if media exists
-        let mediaSection = '';
-        if (mentionInfo.mediaUrl && mentionInfo.mediaType && mentionInfo.mediaType !== 'none') {
-            mediaSection = `
-        <div style="margin: 20px 0; padding: 10px; border: 1px solid #ddd; border-radius: 5px; background-color: #f9f9f9;">
-          <h3>Media Content:</h3>
-          <p><strong>Type:</strong> ${mentionInfo.mediaType}</p>
-          <p><strong>Media Link:</strong> <a href="${mentionInfo.mediaUrl}" target="_blank">View Media</a></p>
-        </div>
-      `;
-        }
-
-        // Create email HTML content with more detailed formatting
-        const htmlContent = `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #eee; border-radius: 5px;">
-        <h2 style="color: #3b5998; border-bottom: 1px solid #eee; padding-bottom: 10px;">You were mentioned on ${platform}</h2>
-        
-        <div style="margin: 20px 0;">
-          <p><strong>Time:</strong> ${new Date(mentionInfo.postCreatedTime || mentionInfo.timestamp).toLocaleString()}</p>
-          <p><strong>By User:</strong> ${mentionInfo.fromUser}</p>
-          <p><strong>Mention Type:</strong> ${mentionType.charAt(0).toUpperCase() + mentionType.slice(1)}</p>
-        </div>
-        
-        <div style="margin: 20px 0; padding: 15px; background-color: #f0f2f5; border-radius: 5px;">
-          <h3>Content:</h3>
-          <p style="white-space: pre-wrap;">${mentionInfo.postMessage || 'No caption/text'}</p>
-        </div>
-        
-        ${mediaSection}
-        
-        <div style="margin: 20px 0;">
-          <a href="${mentionInfo.postUrl}" style="background-color: #3b5998; color: white; padding: 10px 15px; text-decoration: none; border-radius: 4px; display: inline-block;">
-            View Original Post
-          </a>
-        </div>
-        
-        <hr style="border: none; border-top: 1px solid #eee; margin: 20px 0;">
-        <p style="color: #777; font-size: 12px;"><em>This is an automated notification from your social media webhook monitor.</em></p>
-      </div>
-    `;
-
-        // Send email
-        const mailOptions = {
-            from: process.env.EMAIL_FROM,
-            to: process.env.EMAIL_TO,
-            subject: subject,
-            html: htmlContent
-        };
+                if (context.isTest) {
+                    // Sample data from the App Dashboard cannot be looked up in the Graph API
+                    mentionInfo = {
+                        ...mentionInfo,
+                        isTest: true,
+                        postMessage: 'Test Instagram mention delivered from the Meta App Dashboard',
+                        fromUser: 'Test User',
+                        mediaType: 'none'
+                    };
+                } else {
+                    // Mentions are only readable through the mentioned account's own edges, with its token
+                    const lookup = mentionInfo.commentId
+                        ? () => getInstagramMentionedComment(igUserId, mentionInfo.commentId, accountInfo.token)
+                        : () => getInstagramMentionedMedia(igUserId, mentionInfo.mediaId, accountInfo.token);
+                    mentionInfo = await enrichMention(mentionInfo, lookup, context);
+                }
 
-        const info = await transporter.sendMail(mailOptions);
-        console.log('Email sent:', info.messageId);
+                // Send email notification; the comment is on someone else's media
+                await deliverMention(mentionInfo, data, { token: accountInfo.token, accountId: igUserId, mentionedIn: true });
+            }
 
-        return info;
-    } catch (error) {
-        console.error('Error sending email notification:', error);
-        return null;
+        } catch (error) {
+            logger.error('Error handling mention', { error });
+            throw error;
+        }
     }
-}
 
-// Test endpoint to verify the server is running
-app.get('/test', (req, res) => {
-    res.status(200).send({
-        status: 'ok',
-        message: 'Server is running',
-        timestamp: new Date().toISOString(),
-        configuration: {
-            facebook_pages: Object.keys(facebookPages),
-            instagram_accounts: Object.keys(instagramAccounts),
-            env_vars_set: {
-                META_APP_ID: !!process.env.META_APP_ID,
-                META_APP_SECRET: !!process.env.META_APP_SECRET,
-                META_VERIFY_TOKEN: !!process.env.META_VERIFY_TOKEN,
-                EMAIL_CONFIG: !!(process.env.EMAIL_HOST && process.env.EMAIL_USER)
+    // Handle comments that might include mentions. Every monitored account the comment refers to
+    // (by @username, Facebook page tag or configured hashtag) gets its own notification.
+    async function handleComment(data, context) {
+        const { facebookPages, instagramAccounts, hashtagPages } = runtime;
+        try {
+            logger.info('Received comment', { commentId: data?.id });
+            logger.debug('Comment data', { data });
+
+            if (!data) {
+                logger.warn('Empty comment data received');
+                return;
             }
-        }
-    });
-});
 
-// Test endpoint to check if we can get page info
-app.get('/test-page/:pageId', async (req, res) => {
-    try {
-        const pageId = req.params.pageId;
-        const pageInfo = facebookPages[pageId];
+            // Extract comment information
+            const commentInfo = {
+                platform: data.from?.instagram_id || data.media ? 'instagram' : 'facebook',
+                commentId: data.id,
+                postId: data.post_id || data.media_id || data.media?.id,
+                userId: data.from?.id,
+                fromUser: data.from?.username || data.from?.name || 'Unknown',
+                timestamp: data.created_time || new Date().toISOString(),
+                message: data.message || data.text || ''
+            };
 
-        if (!pageInfo) {
-            return res.status(404).send({
-                status: 'error',
-                message: `No configuration found for page ID: ${pageId}`,
-                availablePages: Object.keys(facebookPages)
-            });
+            // Skip if no message content
+            if (!commentInfo.message) {
+                logger.info('Comment has no message content to check for mentions');
+                return;
+            }
+
+            const matches = matchAccounts({
+                platform: commentInfo.platform,
+                text: commentInfo.message,
+                taggedIds: (data.message_tags || []).map(tag => tag.id)
+            }, { facebookPages, instagramAccounts, hashtagPages });
+
+            if (matches.length === 0) {
+                logger.info('Comment does not mention any monitored accounts');
+                return;
+            }
+
+            // Each account is delivered separately, so one that already succeeded is skipped on a retry
+            for (const match of matches) {
+                logger.info('Comment refers to monitored account', { account: match.username, matchedBy: match.matchedBy });
+
+                const token = commentInfo.platform === 'instagram'
+                    ? instagramAccounts[match.username].token
+                    : facebookPages[match.pageId].token;
+                const accountId = commentInfo.platform === 'instagram'
+                    ? instagramAccounts[match.username].id || String(context.entryId)
+                    : match.pageId;
+
+                let mentionInfo = {
+                    ...commentInfo,
+                    mentionType: 'comment',
+                    mentionedUsername: match.username,
+                    pageId: commentInfo.platform === 'facebook' ? match.pageId : undefined,
+                    matchedAccount: commentInfo.platform === 'instagram' ? match.username : match.pageId,
+                    matchedBy: match.matchedBy,
+                    hashtags: match.hashtags.length ? match.hashtags : undefined,
+                    postMessage: commentInfo.message
+                };
+
+                if (isDuplicateMention(mentionInfo, context)) {
+                    continue;
+                }
+
+                if (context.isTest) {
+                    mentionInfo = { ...mentionInfo, isTest: true, fromUser: 'Test User' };
+                } else {
+                    // The comment stays the mention text; the post only adds its link and media
+                    const lookup = async () => {
+                        const post = commentInfo.platform === 'instagram'
+                            ? await getInstagramPostDetails(commentInfo.postId, token)
+                            : await getFacebookPostDetails(commentInfo.postId, token);
+                        return { postUrl: post.postUrl, mediaType: post.mediaType, mediaUrl: post.mediaUrl };
+                    };
+                    mentionInfo = await enrichMention(mentionInfo, lookup, context);
+                }
+
+                // Comments on another account's post or media (entry ID) can only be replied to or liked
+                await deliverMention(mentionInfo, data, {
+                    token,
+                    accountId,
+                    mentionedIn: String(context.entryId) !== String(accountId)
+                });
+            }
+        } catch (error) {
+            logger.error('Error handling comment', { error });
+            throw error;
+        }
+    }
+
+    // Feed items that are notified: new posts of any kind and comments
+    const FEED_ITEMS = ['post', 'status', 'photo', 'video', 'share', 'comment'];
+
+    // Handle a page feed change: a post or comment (including replies) on one of our pages.
+    // Reactions, edits and removals are ignored, as are the page's own posts and comments.
+    async function handleFeedChange(data, context) {
+        const { facebookPages } = runtime;
+        try {
+            logger.info('Received page feed change', { item: data?.item, verb: data?.verb });
+            logger.debug('Feed change data', { data });
+
+            if (!data || data.verb !== 'add' || !FEED_ITEMS.includes(data.item)) {
+                logger.info('Ignoring feed change', { item: data?.item, verb: data?.verb });
+                return;
+            }
+
+            const pageId = String(context.entryId);
+            if (data.from?.id && String(data.from.id) === pageId) {
+                logger.info('Ignoring feed change made by the page itself');
+                return;
+            }
+
+            const page = facebookPages[pageId];
+            if (!page && !context.isTest) {
+                logger.error('No configuration found for page, skipping feed change', { pageId });
+                return;
+            }
+
+            const isComment = data.item === 'comment';
+            const itemId = isComment ? data.comment_id : data.post_id;
+            const mentionInfo = {
+                platform: 'facebook',
+                mentionType: isComment ? 'comment' : 'post',
+                pageId: pageId,
+                matchedAccount: pageId,
+                postId: data.post_id,
+                commentId: isComment ? data.comment_id : undefined,
+                message: isComment ? data.message || '' : undefined,
+                parentId: isComment && data.parent_id !== data.post_id ? data.parent_id : undefined,
+                userId: data.from?.id,
+                fromUser: data.from?.name || 'Unknown',
+                mentionedUsername: page?.name || pageId,
+                postMessage: data.message || '',
+                postUrl: itemId ? `https://www.facebook.com/${itemId}` : undefined,
+                postCreatedTime: data.created_time ? new Date(data.created_time * 1000).toISOString() : undefined,
+                mediaType: data.photo ? 'photo' : (data.video ? 'video' : 'none'),
+                mediaUrl: data.photo || data.video || '',
+                timestamp: new Date().toISOString(),
+                isTest: context.isTest || undefined
+            };
+
+            if (isDuplicateMention(mentionInfo, context)) {
+                return;
+            }
+
+            await deliverMention(mentionInfo, data, { token: page?.token, accountId: pageId });
+        } catch (error) {
+            logger.error('Error handling feed change', { error });
+            throw error;
+        }
+    }
+
+    // Handle a comment on one of our Instagram live broadcasts
+    async function handleLiveComment(data, context) {
+        try {
+            logger.info('Received Instagram live comment', { commentId: data?.id });
+            logger.debug('Live comment data', { data });
+
+            const accountKey = resolveInstagramAccount(context);
+            if (!accountKey) {
+                logger.error('No Instagram account configured with this ID, skipping live comment', { entryId: context.entryId });
+                return;
+            }
+
+            const mentionInfo = {
+                platform: 'instagram',
+                mentionType: 'live_comment',
+                mediaId: data.media?.id,
+                commentId: data.id,
+                userId: data.from?.id,
+                fromUser: data.from?.username || 'Unknown',
+                mentionedUsername: accountKey,
+                matchedAccount: accountKey,
+                postMessage: data.text || '',
+                mediaType: 'live',
+                timestamp: new Date().toISOString(),
+                isTest: context.isTest || undefined
+            };
+
+            if (isDuplicateMention(mentionInfo, context)) {
+                return;
+            }
+
+            await deliverMention(mentionInfo, data);
+        } catch (error) {
+            logger.error('Error handling live comment', { error });
+            throw error;
         }
+    }
+
+    // Handle a messaging event: a direct message to one of our pages or Instagram accounts.
+    // Echoes of our own messages and delivery/read receipts are ignored.
+    async function handleMessage(event, platform, context) {
+        const { facebookPages, instagramAccounts } = runtime;
+        try {
+            logger.info('Received messaging event', { platform });
+            logger.debug('Messaging event data', { event });
+
+            if (!event?.message || event.message.is_echo) {
+                logger.info('Ignoring messaging event without an incoming message');
+                return;
+            }
 
-        // Try to fetch the page info from the Graph API
-        const response = await axios.get(
-            `https://graph.facebook.com/v19.0/${pageId}`,
-            {
-                params: {
-                    fields: 'name,id,link',
-                    access_token: pageInfo.token
+            let accountName;
+            let token;
+            if (platform === 'instagram') {
+                const accountKey = resolveInstagramAccount(context);
+                if (!accountKey) {
+                    logger.error('No Instagram account configured with this ID, skipping message', { entryId: context.entryId });
+                    return;
+                }
+                accountName = accountKey;
+                token = instagramAccounts[accountKey].token;
+            } else {
+                const page = facebookPages[context.entryId];
+                if (!page && !context.isTest) {
+                    logger.error('No configuration found for page, skipping message', { pageId: context.entryId });
+                    return;
                 }
+                accountName = page?.name || String(context.entryId);
+                token = page?.token;
             }
-        );
 
-        res.status(200).send({
-            status: 'ok',
-            message: 'Successfully fetched page info',
-            page: response.data
-        });
-    } catch (error) {
-        res.status(500).send({
-            status: 'error',
-            message: 'Error fetching page info',
-            error: error.message,
-            response: error.response?.data
+            const attachment = event.message.attachments?.[0];
+            const mentionInfo = {
+                platform: platform,
+                mentionType: 'message',
+                pageId: platform === 'facebook' ? String(context.entryId) : undefined,
+                messageId: event.message.mid,
+                userId: event.sender?.id,
+                mentionedUsername: accountName,
+                matchedAccount: platform === 'instagram' ? accountName : String(context.entryId),
+                postMessage: event.message.text || (attachment ? `[${attachment.type} attachment]` : ''),
+                postCreatedTime: event.timestamp ? new Date(event.timestamp).toISOString() : undefined,
+                mediaType: attachment?.type || 'none',
+                mediaUrl: attachment?.payload?.url || '',
+                timestamp: new Date().toISOString(),
+                isTest: context.isTest || undefined
+            };
+
+            if (isDuplicateMention(mentionInfo, context)) {
+                return;
+            }
+
+            // Messages carry only the sender's ID; their name is looked up on a best-effort basis
+            mentionInfo.fromUser = context.isTest
+                ? 'Test User'
+                : (await getMessageSenderName(platform, mentionInfo.userId, token)) || `User ${mentionInfo.userId}`;
+
+            await deliverMention(mentionInfo, event);
+        } catch (error) {
+            logger.error('Error handling message', { error });
+            throw error;
+        }
+    }
+
+    // Look up the name of a message sender (page-scoped or Instagram-scoped ID). Returns null on failure.
+    async function getMessageSenderName(platform, senderId, accessToken) {
+        if (!senderId || !accessToken) return null;
+        try {
+            const data = await profileCache.get(`${platform}:${senderId}`, () => graph.get(senderId, {
+                fields: platform === 'instagram' ? 'name,username' : 'name',
+                access_token: accessToken
+            }));
+            return data.username || data.name || null;
+        } catch (error) {
+            logger.warn('Error fetching message sender profile', { error });
+            return null;
+        }
+    }
+
+    // Work out which configured Instagram account a mentions delivery belongs to from its entry ID.
+    // Accounts without a configured ID can still be matched when they are the only one, and test
+    // deliveries (entry ID 0) fall back to the first account.
+    function resolveInstagramAccount(context) {
+        const { instagramAccounts, instagramAccountsById } = runtime;
+        const accountKey = instagramAccountsById[context.entryId];
+        if (accountKey) {
+            return accountKey;
+        }
+
+        const usernames = Object.keys(instagramAccounts);
+        if (usernames.length === 1 && !instagramAccounts[usernames[0]].id) {
+            logger.info('Using default Instagram account; configure its account ID to match entries exactly', { account: usernames[0], entryId: context.entryId });
+            return usernames[0];
+        }
+        if (context.isTest && usernames.length > 0) {
+            logger.info('Using first Instagram account for test delivery', { account: usernames[0] });
+            return usernames[0];
+        }
+        return null;
+    }
+
+    // Get the media an Instagram account was mentioned in (caption mention)
+    async function getInstagramMentionedMedia(igUserId, mediaId, accessToken) {
+        try {
+            logger.info('Fetching Instagram mentioned media', { mediaId, igUserId });
+            const data = await postCache.get(`mentioned_media:${igUserId}:${mediaId}`, () => graph.get(igUserId, {
+                fields: `mentioned_media.media_id(${mediaId}){id,caption,permalink,timestamp,username,media_type,media_url}`,
+                access_token: accessToken
+            }));
+
+            const media = data.mentioned_media || {};
+            return {
+                postMessage: media.caption || '',
+                postUrl: media.permalink,
+                postCreatedTime: media.timestamp,
+                fromUser: media.username || 'Unknown',
+                mediaType: media.media_type?.toLowerCase() || 'unknown',
+                mediaUrl: media.media_url || ''
+            };
+        } catch (error) {
+            logger.warn('Error fetching Instagram mentioned media', { mediaId, error });
+            throw error;
+        }
+    }
+
+    // Get the comment an Instagram account was mentioned in, along with the media it was left on
+    async function getInstagramMentionedComment(igUserId, commentId, accessToken) {
+        try {
+            logger.info('Fetching Instagram mentioned comment', { commentId, igUserId });
+            const data = await postCache.get(`mentioned_comment:${igUserId}:${commentId}`, () => graph.get(igUserId, {
+                fields: `mentioned_comment.comment_id(${commentId}){id,text,timestamp,media{id,caption,permalink,username,media_type,media_url}}`,
+                access_token: accessToken
+            }));
+
+            // The comment edge does not expose the commenter, so the author is left unknown
+            const comment = data.mentioned_comment || {};
+            const media = comment.media || {};
+            return {
+                message: comment.text || '',
+                postMessage: comment.text || '',
+                postUrl: media.permalink,
+                postCreatedTime: comment.timestamp,
+                mediaType: media.media_type?.toLowerCase() || 'unknown',
+                mediaUrl: media.media_url || ''
+            };
+        } catch (error) {
+            logger.warn('Error fetching Instagram mentioned comment', { commentId, error });
+            throw error;
+        }
+    }
+
+    // Get Facebook post details
+    async function getFacebookPostDetails(postId, accessToken) {
+        try {
+            logger.info('Fetching Facebook post details', { postId });
+
+            // Use the full ID directly since it's already in the correct format
+            const data = await postCache.get(`facebook:${postId}`, () => graph.get(postId, {
+                fields: 'id,message,permalink_url,created_time,from{id,name,picture},attachments',
+                access_token: accessToken
+            }));
+
+            return {
+                postMessage: data.message || '',
+                postUrl: data.permalink_url,
+                postCreatedTime: data.created_time,
+                fromUser: data.from?.name || 'Unknown',
+                fromUserPicture: data.from?.picture?.data?.url || '',
+                mediaType: data.attachments?.data[0]?.type || 'none',
+                mediaUrl: data.attachments?.data[0]?.url || ''
+            };
+        } catch (error) {
+            logger.warn('Error fetching Facebook post details', { postId, error });
+            throw error;
+        }
+    }
+
+    // Get the text and author of a Facebook comment
+    async function getFacebookComment(commentId, accessToken) {
+        try {
+            logger.info('Fetching Facebook comment', { commentId });
+            const data = await postCache.get(`facebook-comment:${commentId}`, () => graph.get(commentId, {
+                fields: 'id,message,from{id,name},created_time',
+                access_token: accessToken
+            }));
+
+            return {
+                message: data.message || '',
+                fromUser: data.from?.name || 'Unknown',
+                postCreatedTime: data.created_time
+            };
+        } catch (error) {
+            logger.warn('Error fetching Facebook comment', { commentId, error });
+            throw error;
+        }
+    }
+
+    // Get Instagram post details
+    async function getInstagramPostDetails(mediaId, accessToken) {
+        try {
+            logger.info('Fetching Instagram post details', { mediaId });
+            const data = await postCache.get(`instagram:${mediaId}`, () => graph.get(mediaId, {
+                fields: 'id,caption,permalink,timestamp,username,media_type,media_url',
+                access_token: accessToken
+            }));
+
+            return {
+                postMessage: data.caption || '',
+                postUrl: data.permalink,
+                postCreatedTime: data.timestamp,
+                fromUser: data.username || 'Unknown',
+                mediaType: data.media_type?.toLowerCase() || 'unknown',
+                mediaUrl: data.media_url || ''
+            };
+        } catch (error) {
+            logger.warn('Error fetching Instagram post details', { mediaId, error });
+            throw error;
+        }
+    }
+
+    // Enrich a mention with the result of a Graph API lookup. A failed lookup is thrown so the
+    // queued job is retried; on the final attempt the mention is marked as degraded instead and
+    // notified with its raw IDs and the error, so a real mention is never dropped or faked.
+    // Rate-limited lookups of queued jobs are always thrown with their retryAfterMs, so the queue
+    // waits for the pause to end rather than sending a degraded notification.
+    async function enrichMention(mentionInfo, lookup, context) {
+        try {
+            return { ...mentionInfo, ...await lookup() };
+        } catch (error) {
+            const message = error.message;
+            if (!context.finalAttempt || (error.retryAfterMs > 0 && context.queued)) {
+                throw Object.assign(new Error(`Could not fetch details for ${mentionInfo.platform} mention: ${message}`), {
+                    retryAfterMs: error.retryAfterMs || undefined
+                });
+            }
+
+            logger.error('Mention details still unavailable, sending degraded notification', { platform: mentionInfo.platform, error });
+            const ids = {};
+            for (const field of ['pageId', 'postId', 'mediaId', 'commentId', 'userId']) {
+                if (mentionInfo[field]) ids[field] = mentionInfo[field];
+            }
+
+            return {
+                ...mentionInfo,
+                fromUser: mentionInfo.fromUser || mentionInfo.senderName,
+                degraded: {
+                    error: message,
+                    ids: ids
+                }
+            };
+        }
+    }
+
+    // Check the mention store so redelivered mentions are skipped before any lookups or emails.
+    // A mention that is not a duplicate is reserved until the job or request handling it ends
+    // (context.reserved, see releaseMentions), so a redelivery processed at the same time is skipped.
+    // Test deliveries reuse the same sample IDs, so they are never treated as duplicates.
+    function isDuplicateMention(mentionInfo, context) {
+        if (context.isTest) {
+            return false;
+        }
+
+        const key = mentionKey(mentionInfo);
+        if (!mentionStore.reserve(key)) {
+            logger.info('Skipping already processed mention', { key });
+            return true;
+        }
+        if (key) {
+            context.reserved.push(key);
+        }
+        return false;
+    }
+
+    // Release the mentions reserved while handling a job or request, once their outcome is recorded
+    function releaseMentions(context) {
+        for (const key of context.reserved.splice(0)) {
+            mentionStore.release(key);
+        }
+    }
+
+    // Send the notification for a mention to the channels chosen by the routing rules and record
+    // the outcome in the mention store. The mention is classified first. Deliveries for digest rules add the mention to the pending
+    // digest instead. Channels that already succeeded on an earlier attempt are skipped, and any
+    // failure is thrown so the queued job is retried.
+    // For comments, actionTarget ({ token, accountId, mentionedIn }) is the account the action rules
+    // reply, hide or like as; their results are recorded with the outcome.
+    async function deliverMention(mentionInfo, payload, actionTarget) {
+        const { notifiers, router, classifier, actions } = runtime;
+
+        // Tags, sentiment and priority are used by the routing rules and shown in notifications
+        mentionInfo = { ...mentionInfo, ...classifier.classify(mentionInfo) };
+        logger.info('Classified mention', { priority: mentionInfo.priority, sentiment: mentionInfo.sentiment.score, tags: mentionInfo.tags });
+
+        const previous = mentionStore.findByKey(mentionKey(mentionInfo));
+
+        // Actions run before the notifications; on a retry, those that succeeded are not repeated
+        const actionResults = actionTarget && mentionInfo.commentId
+            ? await runActions(actions.plan(mentionInfo), mentionInfo, actionTarget, {
+                graph,
+                dryRun: actions.dryRun,
+                previous: previous?.outcome?.actions
+            })
+            : [];
+
+        const alreadyDone = (previous?.outcome?.channels || []).filter(result => result.status === 'sent' || result.status === 'queued');
+        const deliveries = router.route(mentionInfo);
+        logger.info('Routing mention', { channels: deliveries.map(delivery => delivery.digest ? `${delivery.channel} (digest)` : delivery.channel) });
+
+        // Digest deliveries are matched on their rule too, as a channel can get both kinds
+        const pending = deliveries
+            .filter(delivery => !alreadyDone.some(result =>
+                result.channel === delivery.channel && (result.digest || null) === (delivery.digest ? delivery.rules[0] : null)
+            ))
+            .map(delivery => ({ ...delivery, notifier: notifiers.get(delivery.channel) }));
+
+        // Test deliveries and urgent mentions are never held back for a digest
+        const digested = pending.filter(delivery => delivery.digest && !mentionInfo.isTest && !isUrgent(mentionInfo, delivery.digest));
+        const immediate = pending.filter(delivery => !digested.includes(delivery));
+
+        const results = [
+            ...alreadyDone,
+            ...await sendToChannels(immediate, mentionInfo),
+            ...await addToDigests(digested, mentionInfo)
+        ];
+        const failed = results.filter(result => result.status === 'failed');
+        let status = 'sent';
+        if (failed.length) {
+            status = 'failed';
+        } else if (results.some(result => result.status === 'queued')) {
+            status = 'queued';
+        }
+        const outcome = {
+            status: status,
+            channels: results,
+            actions: actionResults.length ? actionResults : undefined
+        };
+        metrics.mentionsProcessed.inc({
+            platform: mentionInfo.platform || 'unknown',
+            account: String(mentionInfo.mentionedUsername || mentionInfo.pageId || 'unknown'),
+            mention_type: mentionInfo.mentionType || 'post',
+            status: status
         });
+
+        try {
+            await mentionStore.recordMention(mentionInfo, payload, outcome);
+        } catch (error) {
+            logger.error('Error writing mention to store', { error });
+        }
+
+        if (failed.length) {
+            throw new Error(`Notification failed for channel(s): ${failed.map(result => result.channel).join(', ')}`);
+        }
+
+        return outcome;
     }
-});
 
-// Test endpoint to send a test email
-app.get('/test-email', async (req, res) => {
-    try {
+    // Add a mention to the pending digest of each delivery. Returns one result per delivery like
+    // sendToChannels, with status 'queued'.
+    async function addToDigests(deliveries, mentionInfo) {
+        return Promise.all(deliveries.map(async (delivery) => {
+            const result = { channel: delivery.channel, type: delivery.notifier.type, digest: delivery.rules[0] };
+            try {
+                const digest = await digestQueue.add(delivery, mentionInfo);
+                logger.info('Added mention to digest', { window: digest.window, rule: digest.rule, channel: delivery.channel });
+                return { ...result, status: 'queued' };
+            } catch (error) {
+                logger.error('Error adding mention to digest', { channel: delivery.channel, error });
+                return { ...result, status: 'failed', error: error.message };
+            }
+        }));
+    }
+
+    // Send a digest whose window has closed. Throws if the channel failed so the digest is kept
+    // and tried again; digests for channels removed from the configuration are dropped.
+    async function sendDigest(digest) {
+        const { notifiers } = runtime;
+        const notifier = notifiers.get(digest.channel);
+        if (!notifier) {
+            logger.error('Dropping digest: channel is no longer configured', { mentions: digest.mentions.length, rule: digest.rule, channel: digest.channel });
+            return;
+        }
+
+        logger.info('Sending digest', { mentions: digest.mentions.length, rule: digest.rule, channel: digest.channel });
+        const [result] = await sendDigestToChannels([{
+            channel: digest.channel,
+            rules: [digest.rule],
+            recipients: digest.recipients,
+            useChannelDefault: digest.useChannelDefault,
+            notifier: notifier
+        }], digest);
+
+        if (result.status === 'failed') {
+            throw new Error(result.error);
+        }
+    }
+
+    // Alert about a digest that could not be sent after every attempt, through the alert routing
+    // of its accounts. The channel that failed is left out, as the alert would fail there too.
+    async function sendDigestFailedAlert(digest, error) {
+        const { notifiers, router } = runtime;
+        const accounts = Array.from(new Set(digest.mentions.map(mention => mention.account)));
+        const deliveries = router.routeAlert(accounts)
+            .filter(delivery => delivery.channel !== digest.channel)
+            .map(delivery => ({ ...delivery, notifier: notifiers.get(delivery.channel) }));
+        if (deliveries.length === 0) {
+            logger.warn('No other channel to alert about the failed digest', { rule: digest.rule, channel: digest.channel });
+            return;
+        }
+
+        const alert = {
+            severity: 'critical',
+            title: `Digest for rule ${digest.rule} could not be sent to ${digest.channel}`,
+            message: `${digest.mentions.length} mention(s) were not delivered after ${digest.attempts} attempts. The channel reported: ${error.message}`,
+            fields: [
+                { label: 'Window', value: `${digest.windowStart} - ${digest.windowEnd}` },
+                { label: 'Accounts', value: accounts.join(', ') || 'None' }
+            ]
+        };
+        logger.info('Sending alert', { title: alert.title, channels: deliveries.map(delivery => delivery.channel) });
+        await sendAlertToChannels(deliveries, alert);
+    }
+
+    // Send an operational alert about a page through the channels its routing rules choose.
+    // Throws if any channel failed so the alert is tried again on the next check.
+    async function sendPageAlert(page, alert) {
+        const { notifiers, router } = runtime;
+        const deliveries = router.routeAlert([page.id, page.name, page.instagram?.username])
+            .map(delivery => ({ ...delivery, notifier: notifiers.get(delivery.channel) }));
+
+        logger.info('Sending alert', { title: alert.title, channels: deliveries.map(delivery => delivery.channel) });
+        const results = await sendAlertToChannels(deliveries, alert);
+
+        const failed = results.filter(result => result.status === 'failed');
+        if (failed.length) {
+            throw new Error(`Alert failed for channel(s): ${failed.map(result => result.channel).join(', ')}`);
+        }
+        return results;
+    }
+
+    // Sample mention used by the test endpoints
+    function buildTestMention() {
+        const { instagramAccounts } = runtime;
+
         // Use first configured Instagram account for the test, or a default
         const testUsername = Object.keys(instagramAccounts)[0] || 'test_instagram_account';
 
-        const testInfo = {
+        return {
             platform: 'instagram',
             mentionedUsername: testUsername,
-            postMessage: 'This is a test mention to verify email notifications are working properly.',
+            postMessage: 'This is a test mention to verify notifications are working properly.',
             postUrl: 'https://instagram.com/test',
             postCreatedTime: new Date().toISOString(),
             fromUser: 'Test User',
             mediaType: 'image',
-            mentionType: 'post'
+            mentionType: 'post',
+            isTest: true
         };
+    }
+
+    // Search the mention history. Filters: platform, account, author, q, status, assignee,
+    // from, to, include_test; paged with limit and offset
+    app.get('/api/mentions', requireAdmin, (req, res) => {
+        const { filters, errors } = parseMentionFilters(req.query);
+        if (errors.length > 0) {
+            return res.status(400).send({ status: 'error', message: 'Invalid filters', issues: errors });
+        }
 
-        console.log('Sending test email with data:', JSON.stringify(testInfo, null, 2));
-        const emailResult = await sendMentionEmail(testInfo);
+        res.status(200).send({ status: 'ok', ...queryMentions(mentionStore.list(), filters) });
+    });
+
+    // A single stored mention, including the raw webhook payload and notification outcome
+    app.get('/api/mentions/:id', requireAdmin, (req, res) => {
+        const record = mentionStore.get(req.params.id);
+        if (!record) {
+            return res.status(404).send({ status: 'error', message: `No mention found with ID ${req.params.id}` });
+        }
+
+        res.status(200).send({ status: 'ok', mention: { ...summarizeMention(record), record } });
+    });
 
+    // Triage a mention: { "status": "handled", "assignee": "sam", "note": "Replied by DM" }
+    app.patch('/api/mentions/:id', requireAdmin, async (req, res) => {
+        const { changes, errors } = parseTriageChanges(req.body);
+        if (errors.length > 0) {
+            return res.status(400).send({ status: 'error', message: 'Invalid triage update', issues: errors });
+        }
+
+        try {
+            const record = await mentionStore.updateTriage(req.params.id, { ...changes, by: req.adminUser });
+            if (!record) {
+                return res.status(404).send({ status: 'error', message: `No mention found with ID ${req.params.id}` });
+            }
+            res.status(200).send({ status: 'ok', mention: summarizeMention(record) });
+        } catch (error) {
+            logger.error('Error updating mention triage', { error });
+            res.status(500).send({ status: 'error', message: 'Error updating mention', error: error.message });
+        }
+    });
+
+    // Dashboard pages are plain HTML on top of the same store, behind the same credentials
+    // (in a browser: any user name, with ADMIN_TOKEN as the password)
+    app.get('/dashboard', requireAdmin, (req, res) => {
+        const { filters, errors } = parseMentionFilters(req.query);
+        const result = queryMentions(errors.length > 0 ? [] : mentionStore.list(), filters);
+        res.status(errors.length > 0 ? 400 : 200).type('html').send(renderMentionList(result, req.query, errors));
+    });
+
+    app.get('/dashboard/mentions/:id', requireAdmin, (req, res) => {
+        const record = mentionStore.get(req.params.id);
+        if (!record) {
+            return res.status(404).type('html').send('Mention not found');
+        }
+        res.status(200).type('html').send(renderMentionDetail(record, summarizeMention(record)));
+    });
+
+    // Requests without an Origin header (non-browser clients) are allowed
+    function isSameOrigin(req) {
+        const origin = req.get('Origin');
+        if (!origin) return true;
+        try {
+            return new URL(origin).host === req.get('Host');
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Triage form of the dashboard. Browsers resend Basic credentials automatically, so
+    // cross-site form posts are refused based on the Origin header.
+    app.post('/dashboard/mentions/:id', requireAdmin, bodyParser.urlencoded({ extended: false }), async (req, res) => {
+        if (!isSameOrigin(req)) {
+            return res.status(403).type('html').send('Cross-site request refused');
+        }
+
+        const { changes, errors } = parseTriageChanges(req.body);
+        if (errors.length > 0) {
+            return res.status(400).type('html').send(errors.join('<br>'));
+        }
+
+        try {
+            const record = await mentionStore.updateTriage(req.params.id, { ...changes, by: req.adminUser });
+            if (!record) {
+                return res.status(404).type('html').send('Mention not found');
+            }
+            res.redirect(303, `/dashboard/mentions/${encodeURIComponent(record.id)}`);
+        } catch (error) {
+            logger.error('Error updating mention triage', { error });
+            res.status(500).type('html').send('Error updating mention');
+        }
+    });
+
+    // Liveness probe: the process is up and serving requests
+    app.get('/healthz', (req, res) => {
+        res.status(200).send({ status: 'ok', uptimeSeconds: Math.round(process.uptime()) });
+    });
+
+    // Readiness probe: 503 while shutting down, or when SMTP or the Graph API cannot be reached.
+    // Results are cached for a few seconds; ?refresh=true checks again straight away, but only for
+    // admins, so anonymous callers cannot make the server open SMTP connections on every request.
+    app.get('/readyz', async (req, res) => {
+        const result = await checkReadiness({ refresh: req.query.refresh === 'true' && hasAdminToken(req) });
+        res.status(result.ready ? 200 : 503).send({
+            status: result.ready ? 'ready' : 'not_ready',
+            checks: result.checks
+        });
+    });
+
+    // Prometheus metrics, with their own token so they stay on when diagnostics are turned off
+    app.get('/metrics', requireMetrics, async (req, res) => {
+        try {
+            res.set('Content-Type', metrics.register.contentType);
+            res.status(200).send(await metrics.register.metrics());
+        } catch (error) {
+            logger.error('Error collecting metrics', { error });
+            res.status(500).send('Error collecting metrics');
+        }
+    });
+
+    // Test endpoint to verify the server is running
+    app.get('/test', requireDiagnostics, (req, res) => {
+        const { config, facebookPages, instagramAccounts, notifiers, router } = runtime;
         res.status(200).send({
             status: 'ok',
-            message: 'Test email sent',
-            emailId: emailResult?.messageId || 'Failed to send',
-            emailConfig: {
-                host: process.env.EMAIL_HOST,
-                port: process.env.EMAIL_PORT,
-                from: process.env.EMAIL_FROM,
-                to: process.env.EMAIL_TO
+            message: 'Server is running',
+            timestamp: new Date().toISOString(),
+            configuration: {
+                source: config.source,
+                loaded_at: runtime.loadedAt,
+                facebook_pages: Object.keys(facebookPages),
+                instagram_accounts: Object.keys(instagramAccounts),
+                mention_store: {
+                    file: mentionStore.filePath,
+                    mentions: mentionStore.list().length
+                },
+                job_queue: jobQueue.stats(),
+                digests: digestQueue.stats(),
+                graph_api: graph.stats(),
+                graph_cache: {
+                    posts: postCache.stats(),
+                    profiles: profileCache.stats()
+                },
+                notification_channels: Array.from(notifiers.values()).map(notifier => ({
+                    name: notifier.name,
+                    type: notifier.type
+                })),
+                routing_rules: router.rules().map(rule => rule.name || 'unnamed'),
+                action_rules: runtime.actions.rules(),
+                actions_dry_run: runtime.actions.dryRun,
+                env_vars_set: {
+                    META_APP_ID: !!process.env.META_APP_ID,
+                    META_APP_SECRET: !!process.env.META_APP_SECRET,
+                    META_VERIFY_TOKEN: !!process.env.META_VERIFY_TOKEN,
+                    SIGNATURE_VERIFICATION: process.env.SKIP_SIGNATURE_VERIFICATION !== 'true',
+                    EMAIL_CONFIG: !!(process.env.EMAIL_HOST && process.env.EMAIL_USER)
+                }
             }
         });
+    });
+
+    // Test endpoint to check if we can get page info
+    app.get('/test-page/:pageId', requireDiagnostics, async (req, res) => {
+        const { facebookPages } = runtime;
+        try {
+            const pageId = req.params.pageId;
+            const pageInfo = facebookPages[pageId];
+
+            if (!pageInfo) {
+                return res.status(404).send({
+                    status: 'error',
+                    message: `No configuration found for page ID: ${pageId}`,
+                    availablePages: Object.keys(facebookPages)
+                });
+            }
+
+            // Try to fetch the page info from the Graph API
+            const data = await graph.get(pageId, {
+                // instagram_business_account shows the ID to configure for the linked Instagram account
+                fields: 'name,id,link,instagram_business_account{id,username}',
+                access_token: pageInfo.token
+            });
+
+            res.status(200).send({
+                status: 'ok',
+                message: 'Successfully fetched page info',
+                page: data
+            });
+        } catch (error) {
+            res.status(500).send({
+                status: 'error',
+                message: 'Error fetching page info',
+                error: error.message,
+                graph: error.name === 'GraphError' ? error.toJSON() : undefined
+            });
+        }
+    });
+
+    // Token health results for every configured page; ?refresh=true runs the checks now
+    app.get('/test-tokens', requireDiagnostics, async (req, res) => {
+        if (!tokenHealthEnabled) {
+            return res.status(503).send({
+                status: 'error',
+                message: 'Token health checks are disabled (META_APP_ID and META_APP_SECRET are required)'
+            });
+        }
+
+        try {
+            const results = req.query.refresh === 'true' ? await tokenHealth.checkAll() : tokenHealth.getResults();
+            res.status(200).send({
+                status: 'ok',
+                tokens: results
+            });
+        } catch (error) {
+            res.status(500).send({
+                status: 'error',
+                message: 'Error checking page tokens',
+                error: error.message
+            });
+        }
+    });
+
+    // Token health of a single page; checked now if there is no result yet or ?refresh=true
+    app.get('/test-page/:pageId/token', requireDiagnostics, async (req, res) => {
+        const { facebookPages } = runtime;
+        const pageId = req.params.pageId;
+
+        if (!facebookPages[pageId]) {
+            return res.status(404).send({
+                status: 'error',
+                message: `No configuration found for page ID: ${pageId}`,
+                availablePages: Object.keys(facebookPages)
+            });
+        }
+        if (!tokenHealthEnabled) {
+            return res.status(503).send({
+                status: 'error',
+                message: 'Token health checks are disabled (META_APP_ID and META_APP_SECRET are required)'
+            });
+        }
+
+        try {
+            let result = tokenHealth.getResult(pageId);
+            if (!result || req.query.refresh === 'true') {
+                result = await tokenHealth.checkOne(pageId);
+            }
+            res.status(200).send({
+                status: 'ok',
+                token: result
+            });
+        } catch (error) {
+            res.status(500).send({
+                status: 'error',
+                message: 'Error checking page token',
+                error: error.message
+            });
+        }
+    });
+
+    // Test endpoint to send a test email
+    app.get('/test-email', requireDiagnostics, async (req, res) => {
+        const { notifiers } = runtime;
+        try {
+            const emailNotifiers = Array.from(notifiers.values()).filter(notifier => notifier.type === 'email');
+            if (emailNotifiers.length === 0) {
+                return res.status(404).send({
+                    status: 'error',
+                    message: 'No email notification channel configured'
+                });
+            }
+
+            const testInfo = buildTestMention();
+            logger.info('Sending test email');
+            logger.debug('Test mention', { mention: testInfo });
+            const results = await sendToChannels(emailNotifiers.map(notifier => ({ notifier })), testInfo);
+
+            res.status(200).send({
+                status: 'ok',
+                message: 'Test email sent',
+                emailId: results[0].id || 'Failed to send',
+                results: results,
+                emailConfig: emailNotifiers[0].describe()
+            });
+        } catch (error) {
+            res.status(500).send({
+                status: 'error',
+                message: 'Failed to send test email',
+                error: error.message
+            });
+        }
+    });
+
+    // Test endpoint to send a test notification through every configured channel
+    app.get('/test-notifications', requireDiagnostics, async (req, res) => {
+        const { notifiers } = runtime;
+        try {
+            const testInfo = buildTestMention();
+            logger.info('Sending test notifications');
+            logger.debug('Test mention', { mention: testInfo });
+            const results = await sendToChannels(Array.from(notifiers.values()).map(notifier => ({ notifier })), testInfo);
+
+            res.status(200).send({
+                status: 'ok',
+                message: 'Test notifications sent',
+                results: results
+            });
+        } catch (error) {
+            res.status(500).send({
+                status: 'error',
+                message: 'Failed to send test notifications',
+                error: error.message
+            });
+        }
+    });
+
+    // Readiness checks, kept for READINESS_CACHE_MS so frequent probes do not open an SMTP
+    // connection and call the Graph API every time. Concurrent probes share one check.
+    const readinessTimeoutMs = parseInt(process.env.READINESS_TIMEOUT_MS, 10) || 5000;
+    let readiness = null;
+
+    // Reject if promise has not settled within readinessTimeoutMs
+    function withReadinessTimeout(promise, what) {
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error(`${what} timed out after ${readinessTimeoutMs}ms`)), readinessTimeoutMs);
+        });
+        return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+    }
+
+    // Verify the SMTP connection of every email channel
+    async function checkSmtp() {
+        const channels = Array.from(runtime.notifiers.values()).filter(notifier => notifier.type === 'email');
+        if (channels.length === 0) {
+            return { status: 'skipped', reason: 'No email channels are configured' };
+        }
+
+        const results = await Promise.all(channels.map(async notifier => {
+            try {
+                const verified = await withReadinessTimeout(notifier.verify(), 'SMTP check');
+                return { channel: notifier.name, status: verified ? 'ok' : 'skipped' };
+            } catch (error) {
+                return { channel: notifier.name, status: 'failed', error: error.message };
+            }
+        }));
+
+        let status = 'skipped';
+        if (results.some(result => result.status === 'failed')) {
+            status = 'failed';
+        } else if (results.some(result => result.status === 'ok')) {
+            status = 'ok';
+        }
+        return { status, channels: results };
+    }
+
+    // Check that the Graph API answers
+    async function checkGraph() {
+        if (typeof graph.ping !== 'function') {
+            return { status: 'skipped', reason: 'The Graph API client has no ping()' };
+        }
+
+        const startedAt = Date.now();
+        try {
+            await withReadinessTimeout(graph.ping(), 'Graph API check');
+            return { status: 'ok', latencyMs: Date.now() - startedAt };
+        } catch (error) {
+            return { status: 'failed', error: error.message };
+        }
+    }
+
+    // Whether the server can take traffic: it is not shutting down, and SMTP and the Graph API
+    // can be reached. Resolves to { ready, checks }.
+    function checkReadiness({ refresh = false } = {}) {
+        if (shuttingDown) {
+            return Promise.resolve({
+                ready: false,
+                checks: { shutdown: { status: 'failed', error: 'The server is shutting down' } }
+            });
+        }
+        if (!refresh && readiness && Date.now() - readiness.checkedAt < READINESS_CACHE_MS) {
+            return readiness.result;
+        }
+
+        const result = Promise.all([checkSmtp(), checkGraph()]).then(([smtp, graphApi]) => {
+            const ready = smtp.status !== 'failed' && graphApi.status !== 'failed';
+            if (!ready) {
+                logger.warn('Readiness check failed', { smtp, graph: graphApi });
+            }
+            return { ready, checks: { smtp, graph: graphApi } };
+        });
+        readiness = { checkedAt: Date.now(), result };
+        return result;
+    }
+
+    const shutdownTimeoutMs = options.shutdownTimeoutMs || parseInt(process.env.SHUTDOWN_TIMEOUT_MS, 10) || 10000;
+    let httpServer = null;
+    let started = false;
+    let closing = null;
+
+    // Start the background work: the job queue, digests, webhook log pruning and token checks.
+    // listen() calls this; call it yourself when mounting app in your own server.
+    function start() {
+        if (started) {
+            return;
+        }
+        started = true;
+        jobQueue.start();
+        digestQueue.start();
+        webhookLog.start();
+        if (tokenHealthEnabled) {
+            tokenHealth.start();
+        } else {
+            logger.warn('Token health checks are disabled (META_APP_ID and META_APP_SECRET are required)');
+        }
+    }
+
+    // Listen on port and start the background work. Resolves to the http.Server.
+    function listen(port) {
+        return new Promise((resolve, reject) => {
+            const server = app.listen(port, () => {
+                server.off('error', reject);
+                httpServer = server;
+                logger.info('Server is running', { port: server.address().port });
+                start();
+                resolve(server);
+            });
+            server.once('error', reject);
+        });
+    }
+
+    // Shut down gracefully: stop accepting requests and taking jobs, then wait for the requests,
+    // jobs, digests and log writes in progress, for up to shutdownTimeoutMs. Queued jobs stay in
+    // the queue file, and jobs cut off by the timeout run again on the next start.
+    function close() {
+        if (!closing) {
+            closing = shutDown();
+        }
+        return closing;
+    }
+
+    async function shutDown() {
+        shuttingDown = true;
+        logger.info('Shutting down', { queue: jobQueue.stats() });
+
+        const httpClosed = httpServer
+            ? new Promise(resolve => {
+                httpServer.close(() => resolve());
+                if (typeof httpServer.closeIdleConnections === 'function') {
+                    httpServer.closeIdleConnections();
+                }
+            })
+            : null;
+        const drained = Promise.all([
+            httpClosed,
+            jobQueue.stop(),
+            digestQueue.stop(),
+            webhookLog.stop(),
+            tokenHealth.stop()
+        ]).then(() => true);
+
+        let timer;
+        const timedOut = new Promise(resolve => {
+            timer = setTimeout(() => resolve(false), shutdownTimeoutMs);
+        });
+        const finished = await Promise.race([drained, timedOut]);
+        clearTimeout(timer);
+
+        if (finished) {
+            logger.info('Shutdown complete');
+        } else {
+            logger.warn('Shutdown timed out; unfinished jobs will run again on the next start', {
+                timeoutMs: shutdownTimeoutMs,
+                queue: jobQueue.stats()
+            });
+            if (httpServer && typeof httpServer.closeAllConnections === 'function') {
+                httpServer.closeAllConnections();
+            }
+        }
+    }
+
+    return {
+        app,
+        start,
+        listen,
+        close,
+        reload: reloadConfiguration,
+        checkReadiness
+    };
+}
+
+
+// Run standalone: node webhook-server.js
+if (standalone) {
+    let server;
+    try {
+        server = createServer();
     } catch (error) {
-        res.status(500).send({
-            status: 'error',
-            message: 'Failed to send test email',
-            error: error.message
+        if (error instanceof ConfigError) {
+            logger.error('Invalid configuration', { source: error.source, issues: error.issues });
+            process.exit(1);
+        }
+        throw error;
+    }
+
+    server.listen(process.env.PORT || 3000).then(() => {
+        logger.info('Environment', {
+            nodeEnv: process.env.NODE_ENV,
+            verifyTokenSet: !!process.env.META_VERIFY_TOKEN,
+            appIdSet: !!process.env.META_APP_ID,
+            signatureVerification: process.env.SKIP_SIGNATURE_VERIFICATION === 'true' ? 'disabled' : 'enabled',
+            logLevel: logger.level
+        });
+    }, error => {
+        logger.error('Could not start the server', { error: error.message });
+        process.exit(1);
+    });
+
+    // Reload the configuration without restarting
+    process.on('SIGHUP', () => server.reload('SIGHUP'));
+
+    // Finish the work in progress before exiting; a second signal exits straight away
+    let stopping = false;
+    for (const signal of ['SIGTERM', 'SIGINT']) {
+        process.on(signal, () => {
+            if (stopping) {
+                process.exit(1);
+            }
+            stopping = true;
+            logger.info('Received shutdown signal', { signal });
+            server.close().then(() => process.exit(0));
         });
     }
-});
+}
 
-// Start the server
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-    console.log(`Server is running on port ${PORT}`);
-    console.log(`Environment: ${process.env.NODE_ENV}`);
-    console.log(`Webhook verification token: ${process.env.META_VERIFY_TOKEN ? 'Set' : 'NOT SET'}`);
-    console.log(`App ID: ${process.env.META_APP_ID ? 'Set' : 'NOT SET'}`);
-});
\ No newline at end of file
+module.exports = { createServer };